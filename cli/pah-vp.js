@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Batch vapor-pressure tables from the command line. The numbers come from the
+// same core as the app (src/physics.js) and are written in the app's export
+// formats, so a pipeline reading them sees what the chart and table show.
+//
+//   node cli/pah-vp.js vp -c Naphthalene,Pyrene --from 50 --to 300 --step 10
+//   node cli/pah-vp.js bp --from 0.1 --to 760 --per-decade 5 -u Pa -f json
+//
+// Run with --help for every option.
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  PRESSURE_UNITS, TEMPERATURE_UNITS, toPressureUnit, fromPressureUnit, toTemperatureUnit, fromTemperatureUnit,
+  saturationVP, transitionPoint, vpInterval, transitionHalfWidth, rangeBasis,
+} from "../src/physics.js";
+import { BUILTIN_LIBRARY, parseLibraryFile, tableToCSV, tableToJSON, exportNumber } from "../src/library.js";
+
+const USAGE = `Usage: pah-vp <vp|bp|list> [options]
+
+Commands:
+  vp    vapor pressure of each compound against temperature
+  bp    boiling / sublimation temperature of each compound against pressure
+  list  the compounds in the library
+
+Options:
+  -c, --compounds <names>   comma-separated names, synonyms or CAS numbers;
+                            repeatable (default: every compound)
+  -l, --library <file>      add user compounds from a library exported by the
+                            app (.json or .csv)
+      --from <value>        first temperature (vp) or pressure (bp), in the
+                            display units (default: -80 °C or 0.05 Torr)
+      --to <value>          last temperature or pressure (default: 600 °C or
+                            100 Torr)
+      --step <value>        spacing, in the display units (default: 5 °C for
+                            vp; bp is log-spaced unless a step is given)
+      --per-decade <n>      bp only: log-spaced pressures per decade (default 10)
+  -u, --pressure-unit <u>   ${Object.keys(PRESSURE_UNITS).join(", ")} (default Torr)
+  -t, --temperature-unit <u>
+                            °C (or C), K, °F (or F) (default °C)
+  -f, --format <csv|json>   output format (default csv)
+  -o, --output <file>       write to a file instead of standard output
+  -h, --help                show this help
+`;
+
+const TEMPERATURE_ALIASES = { C: "°C", degC: "°C", F: "°F", degF: "°F" };
+
+class UsageError extends Error {}
+
+function number(value, option) {
+  const v = Number(value);
+  if (value === undefined || value === "" || !Number.isFinite(v)) throw new UsageError(`--${option} must be a number`);
+  return v;
+}
+
+// Inclusive range from..to in steps of step, without accumulating float error
+function linearRange(from, to, step) {
+  if (!(step > 0)) throw new UsageError("--step must be positive");
+  if (!(to >= from)) throw new UsageError("--to must not be below --from");
+  const n = Math.floor((to - from) / step + 1e-9);
+  return Array.from({ length: n + 1 }, (_, i) => Number((from + i * step).toPrecision(12)));
+}
+
+function logRange(from, to, perDecade) {
+  if (!(from > 0 && to > from)) throw new UsageError("A log-spaced range needs 0 < --from < --to");
+  if (!(perDecade > 0)) throw new UsageError("--per-decade must be positive");
+  const n = Math.floor(Math.log10(to / from) * perDecade + 1e-9);
+  return Array.from({ length: n + 1 }, (_, i) => Number((from * 10 ** (i / perDecade)).toPrecision(6)));
+}
+
+// Resolve a compound by exact name, then case-insensitively by name, synonym
+// or CAS number
+function findCompound(library, key) {
+  if (library[key]) return key;
+  const k = key.toLowerCase();
+  const match = Object.entries(library).find(([name, c]) =>
+    [name, c.cas, ...(c.synonyms ?? [])].some(v => v?.toLowerCase() === k));
+  if (!match) throw new UsageError(`Unknown compound "${key}" — run "pah-vp list" to see the library`);
+  return match[0];
+}
+
+// Pressure against temperature, in the layout of the app's chart export:
+// one column per compound, plus 95 % low/high columns where it has
+// coefficient uncertainties
+function vaporPressureTable(compounds, temperatures, pUnit, tUnit) {
+  return {
+    headers: [`T (${tUnit})`, ...compounds.flatMap(([name, c]) => [
+      `${name} (${pUnit})`, ...(c.unc ? [`${name} 95% low (${pUnit})`, `${name} 95% high (${pUnit})`] : []),
+    ])],
+    rows: temperatures.map(T => {
+      const Tc = fromTemperatureUnit(T, tUnit);
+      return [T, ...compounds.flatMap(([, c]) => [
+        exportNumber(toPressureUnit(saturationVP(c, Tc), pUnit)),
+        ...(c.unc ? (vpInterval(c, Tc) ?? [null, null]).map(v => exportNumber(v === null ? null : toPressureUnit(v, pUnit))) : []),
+      ])];
+    }),
+  };
+}
+
+// Boiling (or, below the triple point, sublimation) temperature against
+// pressure, laid out like the app's isobaric-view export
+function boilingPointTable(compounds, pressures, pUnit, tUnit) {
+  const scale = TEMPERATURE_UNITS[tUnit].scale;
+  return {
+    headers: [`P (${pUnit})`, ...compounds.flatMap(([name, c]) => [
+      `${name} (${tUnit})`, ...(c.unc ? [`${name} 95% low (${tUnit})`, `${name} 95% high (${tUnit})`] : []),
+    ])],
+    rows: pressures.map(P => {
+      const Pm = fromPressureUnit(P, pUnit);
+      return [P, ...compounds.flatMap(([, c]) => {
+        const { T } = transitionPoint(c, Pm);
+        const cell = T === null ? null : exportNumber(toTemperatureUnit(T, tUnit));
+        if (!c.unc) return [cell];
+        const half = transitionHalfWidth(c, T);
+        return half === null ? [cell, null, null] : [cell, exportNumber(cell - half * scale), exportNumber(cell + half * scale)];
+      })];
+    }),
+  };
+}
+
+function compoundList(compounds, tUnit) {
+  const toT = (c) => exportNumber(toTemperatureUnit(c, tUnit));
+  return {
+    headers: ["Compound", "CAS", "Formula", "MW (g/mol)", `Tm (${tUnit})`, `Tb (${tUnit})`,
+      `Fit range from (${tUnit})`, `Fit range to (${tUnit})`, "Fit range basis", "Equation", "Source"],
+    rows: compounds.map(([name, c]) => [
+      name, c.cas ?? "", c.formula ?? "", c.MW, toT(c.Tm), toT(c.Tb),
+      "Tlo" in c ? toT(c.Tlo) : "", "Thi" in c ? toT(c.Thi) : "", rangeBasis(c) ?? "", c.eq.form, c.source ?? "",
+    ]),
+  };
+}
+
+function run(argv) {
+  const { values: opts, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      compounds: { type: "string", short: "c", multiple: true },
+      library: { type: "string", short: "l" },
+      from: { type: "string" },
+      to: { type: "string" },
+      step: { type: "string" },
+      "per-decade": { type: "string" },
+      "pressure-unit": { type: "string", short: "u", default: "Torr" },
+      "temperature-unit": { type: "string", short: "t", default: "°C" },
+      format: { type: "string", short: "f", default: "csv" },
+      output: { type: "string", short: "o" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command] = positionals;
+  if (opts.help || !command) return { text: USAGE };
+  if (!["vp", "bp", "list"].includes(command)) throw new UsageError(`Unknown command "${command}"`);
+
+  const pUnit = opts["pressure-unit"];
+  const tUnit = TEMPERATURE_ALIASES[opts["temperature-unit"]] ?? opts["temperature-unit"];
+  if (!PRESSURE_UNITS[pUnit]) throw new UsageError(`Unknown pressure unit "${pUnit}"`);
+  if (!TEMPERATURE_UNITS[tUnit]) throw new UsageError(`Unknown temperature unit "${opts["temperature-unit"]}"`);
+  if (!["csv", "json"].includes(opts.format)) throw new UsageError(`Unknown format "${opts.format}"`);
+
+  const library = { ...BUILTIN_LIBRARY };
+  if (opts.library) {
+    const { compounds, skipped } = parseLibraryFile(opts.library, readFileSync(opts.library, "utf8"));
+    Object.assign(library, compounds);
+    if (skipped) process.stderr.write(`${basename(opts.library)}: skipped ${skipped} invalid or built-in entr${skipped === 1 ? "y" : "ies"}\n`);
+  }
+  const keys = (opts.compounds ?? []).flatMap(v => v.split(",")).map(v => v.trim()).filter(Boolean);
+  const names = keys.length ? [...new Set(keys.map(k => findCompound(library, k)))] : Object.keys(library);
+  const compounds = names.map(name => [name, library[name]]);
+
+  let table, meta;
+  if (command === "list") {
+    table = compoundList(compounds, tUnit);
+    meta = { temperatureUnit: tUnit };
+  } else if (command === "vp") {
+    const from = opts.from === undefined ? toTemperatureUnit(-80, tUnit) : number(opts.from, "from");
+    const to = opts.to === undefined ? toTemperatureUnit(600, tUnit) : number(opts.to, "to");
+    const step = opts.step === undefined ? 5 * TEMPERATURE_UNITS[tUnit].scale : number(opts.step, "step");
+    table = vaporPressureTable(compounds, linearRange(from, to, step), pUnit, tUnit);
+    meta = { temperatureUnit: tUnit, pressureUnit: pUnit };
+  } else {
+    const from = opts.from === undefined ? toPressureUnit(0.05, pUnit) : number(opts.from, "from");
+    const to = opts.to === undefined ? toPressureUnit(100, pUnit) : number(opts.to, "to");
+    const pressures = opts.step !== undefined
+      ? linearRange(from, to, number(opts.step, "step"))
+      : logRange(from, to, opts["per-decade"] === undefined ? 10 : number(opts["per-decade"], "per-decade"));
+    if (pressures[0] <= 0) throw new UsageError("Pressures must be positive");
+    table = boilingPointTable(compounds, pressures, pUnit, tUnit);
+    meta = { temperatureUnit: tUnit, pressureUnit: pUnit };
+  }
+  const text = opts.format === "csv" ? tableToCSV(table) : tableToJSON(table, meta) + "\n";
+  return { text, output: opts.output };
+}
+
+try {
+  const { text, output } = run(process.argv.slice(2));
+  if (output) writeFileSync(output, text);
+  else process.stdout.write(text);
+} catch (err) {
+  process.stderr.write(`pah-vp: ${err.message}\n`);
+  if (err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS")) process.stderr.write('Run "pah-vp --help" for usage.\n');
+  process.exitCode = 1;
+}
@@ -1,69 +1,312 @@
-import { useState, useMemo, useCallback } from "react";
+import { useState, useMemo, useCallback, useEffect, useRef } from "react";
 import {
   LineChart, Line, XAxis, YAxis, CartesianGrid,
-  Tooltip, ResponsiveContainer, ReferenceLine,
+  Tooltip, ResponsiveContainer, ReferenceLine, ReferenceDot, ReferenceArea, Customized,
+  ScatterChart, Scatter, BarChart, Bar, ComposedChart, Area,
 } from "recharts";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import {
+  antoine, PRESSURE_UNITS, TEMPERATURE_UNITS, toPressureUnit, fromPressureUnit,
+  toTemperatureUnit, fromTemperatureUnit, roundSig, temperatureLabel, KELVIN, EQUATIONS,
+  equationVP, equationInverse, saturationVP, triplePoint, transitionPoint, phaseAt, isExtrapolated, rangeBasis,
+  transitionEnthalpy, saturationSlope, vpInterval, transitionHalfWidth, fitVaporPressure, parseTPData,
+  mixtureComposition, bubblePressure, dewPressure, bubbleTemperature, dewTemperature, vaporComposition,
+  volatilityBasisSet, programDuration, programTemperature, simulateTGA, separationMap,
+  parameterSets, setSpread,
+} from "./physics.js";
+import {
+  COMPOUND_FIELDS, OPTIONAL_FIELDS, BUILTIN_LIBRARY, parseEntry, validateCompound, sanitizeCompounds,
+  unusedColor, uniqueName, libraryToCSV, libraryToJSON, parseLibraryFile, tableToCSV, tableToJSON, exportNumber,
+} from "./library.js";
+
+// ── Chart series ────────────────────────────────────────────────────────────
+
+// Chart series key suffix for the extrapolated (dashed) part of a curve
+const EXTRAP_SUFFIX = " (extrapolated)";
+// Hover text for the ⚠ extrapolation markers
+const EXTRAP_TITLE = "Extrapolated beyond the fitted (or, for uncited constants, assumed Tm–Tb) range";
+// Chart series key suffix for a curve's 95 % band, valued [lo, hi]
+const BAND_SUFFIX = " (95% band)";
+// Chart series keys for the fit panel overlay
+const FIT_KEY = "Fitted curve";
+const MEASURED_KEY = "Measured";
+// Chart series keys for the mixture curves
+const MIX_BUBBLE_KEY = "Mixture — bubble P";
+const MIX_DEW_KEY = "Mixture — dew P";
+const MIX_COLOR = "#ff6b6b";
 
-// Antoine equation constants (log10(P/mmHg) = A - B/(C+T), T in °C)
-const PAH_DATA = {
-  "Naphthalene":                    { A: 7.01065, B: 1733.71, C: 202.700, Tm: 80,  Tb: 218, MW: 128.2 },
-  "Acenaphthylene":                 { A: 7.0685,  B: 1887.0,  C: 196.0,   Tm: 92,  Tb: 280, MW: 152.2 },
-  "9H-Fluorene":                    { A: 7.0200,  B: 1975.0,  C: 196.0,   Tm: 116, Tb: 295, MW: 166.2 },
-  "Phenanthrene":                   { A: 7.0600,  B: 2100.0,  C: 196.0,   Tm: 101, Tb: 340, MW: 178.2 },
-  "Anthracene":                     { A: 6.9800,  B: 2180.0,  C: 185.0,   Tm: 216, Tb: 342, MW: 178.2 },
-  "4H-Cyclopenta[def]phenanthrene": { A: 7.050,   B: 2250.0,  C: 190.0,   Tm: 174, Tb: 360, MW: 190.2 },
-  "Pyrene":                         { A: 7.0150,  B: 2320.0,  C: 190.0,   Tm: 150, Tb: 393, MW: 202.3 },
-  "Fluoranthene":                   { A: 7.0300,  B: 2300.0,  C: 188.0,   Tm: 111, Tb: 384, MW: 202.3 },
-  "beta-Pyrene":                    { A: 7.0400,  B: 2400.0,  C: 185.0,   Tm: 181, Tb: 404, MW: 202.3 },
-  "2-methyl-Fluoranthene":          { A: 7.020,   B: 2350.0,  C: 187.0,   Tm: 120, Tb: 395, MW: 216.3 },
-  "Cyclopenta[cd]pyrene":           { A: 7.020,   B: 2420.0,  C: 185.0,   Tm: 170, Tb: 420, MW: 226.3 },
-  "Cyclopenta[cd]pyrene isomer":    { A: 7.010,   B: 2440.0,  C: 184.0,   Tm: 175, Tb: 425, MW: 226.3 },
-  "Benzo[c]phenanthrene":           { A: 6.9900,  B: 2450.0,  C: 183.0,   Tm: 68,  Tb: 425, MW: 228.3 },
-  "Benzo[ghi]perylene":             { A: 6.9700,  B: 2700.0,  C: 178.0,   Tm: 278, Tb: 500, MW: 276.3 },
+// Secondary chart views of the derived quantities
+const DERIVED_VIEWS = {
+  clausius: "ln P vs 1/T",
+  enthalpy: "ΔH(T)",
+  slope:    "dP/dT",
 };
 
-const mmhgTo = {
-  mmHg: (v) => v,
-  Torr: (v) => v,
-  Pa:   (v) => v * 133.322,
-  atm:  (v) => v / 760,
-  bar:  (v) => v * 0.00133322,
+// Chart series key for an alternative literature set of a compound
+const setKey = (name, label) => `${name} · ${label}`;
+// Dash patterns that tell a compound's overlaid sets apart
+const SET_DASHES = ["8 3", "2 2", "8 3 2 3", "4 4", "12 4"];
+
+// Chart sampling step (°C) for a temperature span
+const sampleStep = (range) => (range > 200 ? 5 : range > 50 ? 2 : 1);
+
+// ── Compound library storage ────────────────────────────────────────────────
+// Built-in entries are read-only (see library.js); user entries are layered on
+// top and persisted to localStorage.
+
+const LIBRARY_KEY = "pah-explorer:library";
+
+function loadCustomCompounds() {
+  try {
+    const raw = localStorage.getItem(LIBRARY_KEY);
+    return raw ? sanitizeCompounds(JSON.parse(raw)).compounds : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveCustomCompounds(custom) {
+  try {
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(custom));
+  } catch {
+    // Storage full or disabled (private browsing) — library stays in memory only
+  }
+}
+
+// ── View state: URL and saved sessions ──────────────────────────────────────
+// The view (selection, slider bounds and values, axis and unit settings) is
+// mirrored into the query string so it survives reloads and can be shared;
+// named sessions store the same query string in localStorage.
+
+const VIEW_DEFAULTS = {
+  selected: ["Naphthalene", "Phenanthrene", "Pyrene", "Fluoranthene", "Benzo[ghi]perylene"],
+  tMin: -80, tMax: 600, tempC: 150,
+  pRefMin: 0.05, pRefMax: 100, pressureRef: 10,   // Torr
+  pAxisMin: 0.05, pAxisMax: null,                 // Torr, null = auto
+  pUnit: "Torr", tUnit: "°C", logScale: true,
+  isobaric: false,                                // T against P instead of P against T
 };
 
-const COLORS = [
-  "#00f5d4","#fee440","#f15bb5","#9b5de5","#00bbf9",
-  "#fb5607","#8ecae6","#a8dadc","#e9c46a","#f4a261",
-  "#52b788","#2a9d8f","#e76f51","#ffd166",
-];
+const SESSIONS_KEY = "pah-explorer:sessions";
+
+// Query string for a view; groups equal to the defaults are left out
+function encodeView(v) {
+  const q = new URLSearchParams();
+  const d = VIEW_DEFAULTS;
+  const same = (keys) => keys.every(k => v[k] === d[k]);
+  if ([...v.selected].sort().join("\n") !== [...d.selected].sort().join("\n")) {
+    if (v.selected.length) v.selected.forEach(n => q.append("c", n));
+    else q.set("c", "");
+  }
+  if (!same(["tMin", "tMax", "tempC"])) q.set("t", [v.tMin, v.tMax, v.tempC].join(","));
+  if (!same(["pRefMin", "pRefMax", "pressureRef"])) q.set("p", [v.pRefMin, v.pRefMax, v.pressureRef].join(","));
+  if (!same(["pAxisMin", "pAxisMax"])) q.set("ax", [v.pAxisMin, v.pAxisMax ?? "auto"].join(","));
+  if (v.pUnit !== d.pUnit) q.set("u", v.pUnit);
+  if (v.tUnit !== d.tUnit) q.set("tu", v.tUnit);
+  if (v.logScale !== d.logScale) q.set("log", v.logScale ? "1" : "0");
+  if (v.isobaric !== d.isobaric) q.set("iso", v.isobaric ? "1" : "0");
+  return q.toString();
+}
+
+// Full view from a query string: defaults, overridden by every group that
+// parses and is self-consistent
+function decodeView(search) {
+  const q = new URLSearchParams(search);
+  const v = { ...VIEW_DEFAULTS };
+  const nums = (key) => (q.get(key) ?? "").split(",").map(s => (s === "auto" ? null : parseFloat(s)));
+  const finite = (arr) => arr.every(Number.isFinite);
+
+  if (q.has("c")) v.selected = q.getAll("c").filter(Boolean);
+  const [tMin, tMax, tempC] = nums("t");
+  if (finite([tMin, tMax, tempC]) && tMin < tMax) Object.assign(v, { tMin, tMax, tempC: Math.min(Math.max(tempC, tMin), tMax) });
+  const [pRefMin, pRefMax, pressureRef] = nums("p");
+  if (finite([pRefMin, pRefMax, pressureRef]) && pRefMin > 0 && pRefMin < pRefMax) {
+    Object.assign(v, { pRefMin, pRefMax, pressureRef: Math.min(Math.max(pressureRef, pRefMin), pRefMax) });
+  }
+  const [pAxisMin, pAxisMax] = nums("ax");
+  if (pAxisMin > 0 && (pAxisMax === null || pAxisMax > pAxisMin)) Object.assign(v, { pAxisMin, pAxisMax });
+  if (PRESSURE_UNITS[q.get("u")]) v.pUnit = q.get("u");
+  if (TEMPERATURE_UNITS[q.get("tu")]) v.tUnit = q.get("tu");
+  if (q.has("log")) v.logScale = q.get("log") !== "0";
+  if (q.has("iso")) v.isobaric = q.get("iso") !== "0";
+  return v;
+}
+
+function loadSessions() {
+  try {
+    const list = JSON.parse(localStorage.getItem(SESSIONS_KEY) ?? "[]");
+    return Array.isArray(list) ? list.filter(s => s && typeof s.name === "string" && typeof s.query === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveSessions(sessions) {
+  try {
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+  } catch {
+    // Storage full or disabled — sessions last for this visit only
+  }
+}
+
+function sessionsToJSON(sessions) {
+  const base = window.location.origin + window.location.pathname;
+  return JSON.stringify(sessions.map(({ name, query, savedAt }) => ({
+    name, savedAt, url: query ? `${base}?${query}` : base, view: decodeView(query),
+  })), null, 2);
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoking synchronously can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadFile(filename, text, type = "text/plain") {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+// ── Figure export ───────────────────────────────────────────────────────────
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const EXPORT_FONT = "'Space Mono', 'Courier Prime', monospace";
+
+function svgNode(tag, attrs, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// Wrap a rendered recharts <svg> into a standalone figure with a dark
+// background, a title line and a legend underneath. legend items are
+// { label, color, dash? }; with no color the item is a plain note.
+function buildFigureSVG(chartSvg, { title, legend }) {
+  const { width, height } = chartSvg.getBoundingClientRect();
+  const pad = 12, titleH = 24, rowH = 18;
+
+  // Lay legend items out in rows, estimating text width from character count
+  const items = [];
+  let x = pad, y = 0;
+  legend.forEach(item => {
+    const w = (item.color ? 28 : 0) + item.label.length * 6.4 + 18;
+    if (x + w > width - pad && x > pad) { x = pad; y += rowH; }
+    items.push({ ...item, x, y });
+    x += w;
+  });
+  const legendH = legend.length ? y + rowH + pad : 0;
+  const total = titleH + height + legendH;
+
+  const root = svgNode("svg", {
+    xmlns: SVG_NS, width, height: total, viewBox: `0 0 ${width} ${total}`, "font-family": EXPORT_FONT,
+  });
+  root.appendChild(svgNode("rect", { width, height: total, fill: "#080b14" }));
+  root.appendChild(svgNode("text", { x: pad, y: 16, fill: "#00f5d4", "font-size": 12, "font-weight": 700 }, title));
+
+  const chart = chartSvg.cloneNode(true);
+  chart.setAttribute("x", 0);
+  chart.setAttribute("y", titleH);
+  chart.setAttribute("width", width);
+  chart.setAttribute("height", height);
+  root.appendChild(chart);
 
-function antoineVP(A, B, C, T) {
-  return Math.pow(10, A - B / (C + T));
+  const g = svgNode("g", { transform: `translate(0, ${titleH + height + 6})`, "font-size": 10 });
+  items.forEach(({ label, color, dash, x: ix, y: iy }) => {
+    let tx = ix;
+    if (color) {
+      g.appendChild(svgNode("line", {
+        x1: ix, y1: iy + 8, x2: ix + 20, y2: iy + 8, stroke: color, "stroke-width": 2,
+        ...(dash ? { "stroke-dasharray": dash } : {}),
+      }));
+      tx += 26;
+    }
+    g.appendChild(svgNode("text", { x: tx, y: iy + 11, fill: color ?? "#888" }, label));
+  });
+  root.appendChild(g);
+  return root;
+}
+
+function serializeSVG(svg) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
 }
 
-function boilingPoint(A, B, C, P_mmhg) {
-  const val = A - Math.log10(P_mmhg);
-  if (val <= 0) return null;
-  return B / val - C;
+// Rasterise an SVG figure at `scale`× its CSS size
+function svgToPNG(svg, scale = 3) {
+  const width = +svg.getAttribute("width"), height = +svg.getAttribute("height");
+  const url = URL.createObjectURL(new Blob([serializeSVG(svg)], { type: "image/svg+xml" }));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("Could not render SVG")); };
+    img.src = url;
+  });
 }
 
-const CustomTooltip = ({ active, payload, label, pUnit }) => {
+const CustomTooltip = ({ active, payload, label, pUnit, tUnit, isobaric }) => {
   if (!active || !payload?.length) return null;
+  // Solid and dashed series overlap at the range boundary — show each compound
+  // once, flagged when only its extrapolated series has a value here
+  const byName = new Map();
+  // 95 % band of each compound, [lo, hi]
+  const bands = new Map();
+  payload.forEach(p => {
+    if (String(p.dataKey).endsWith(BAND_SUFFIX)) { bands.set(p.name, p.value); return; }
+    const solid = !String(p.dataKey).endsWith(EXTRAP_SUFFIX);
+    if (!byName.has(p.name) || solid) byName.set(p.name, { ...p, extrapolated: !solid });
+  });
+  const entries = [...byName.values()];
+  const fmtP = (v) => (v < 0.001 ? v.toExponential(2) : v.toFixed(4));
+  // In the isobaric view the label is a pressure and the values are temperatures
+  const fmt = isobaric ? (v) => v.toFixed(1) : fmtP;
   return (
     <div style={{
       background: "rgba(8,11,20,0.97)", border: "1px solid rgba(255,255,255,0.12)",
       borderRadius: 8, padding: "10px 14px",
       fontFamily: "'Courier Prime', monospace", fontSize: 12, maxWidth: 260,
     }}>
-      <p style={{ color: "#aaa", margin: "0 0 6px" }}>T = {label}°C</p>
-      {payload.slice(0, 8).map((p, i) => (
+      <p style={{ color: "#aaa", margin: "0 0 6px" }}>
+        {isobaric ? `P = ${fmtP(label)} ${pUnit}` : `T = ${temperatureLabel(Number(label.toFixed(2)), tUnit)}`}
+      </p>
+      {entries.slice(0, 8).map((p, i) => (
         <p key={i} style={{ color: p.color, margin: "2px 0" }}>
-          {p.name}: {p.value < 0.001 ? p.value.toExponential(2) : p.value.toFixed(4)} {pUnit}
+          {p.name}: {isobaric ? temperatureLabel(fmt(p.value), tUnit) : `${fmt(p.value)} ${pUnit}`}
+          {p.extrapolated && <span style={{ color: "#f4a261" }}> ⚠ extrap.</span>}
+          {bands.get(p.name) && <span style={{ color: "#777", fontSize: 10 }}> [{fmt(bands.get(p.name)[0])}–{fmt(bands.get(p.name)[1])}]</span>}
         </p>
       ))}
     </div>
   );
 };
 
+// Transparent layer over the plot area, rendered through <Customized> so it
+// gets the chart's axis scales; pointer-downs are handed on with those scales
+// so the caller can map screen positions back to data values
+const PlotPointerLayer = ({ offset, xAxisMap, yAxisMap, cursor, onPointerDown }) => {
+  const xAxis = xAxisMap && Object.values(xAxisMap)[0];
+  const yAxis = yAxisMap && Object.values(yAxisMap)[0];
+  if (!offset || !xAxis || !yAxis) return null;
+  return (
+    <rect x={offset.left} y={offset.top} width={offset.width} height={offset.height}
+      fill="transparent" style={{ cursor, touchAction: "none" }}
+      onPointerDown={e => onPointerDown(e, { x: xAxis.scale, y: yAxis.scale })} />
+  );
+};
+
+const PHASE_COLORS = { vapor: "#f15bb5", liquid: "#777", solid: "#8ecae6" };
+
 const Panel = ({ children, style }) => (
   <div style={{ background: "rgba(255,255,255,0.04)", borderRadius: 10, padding: 14, ...style }}>
     {children}
@@ -125,6 +368,23 @@ function BoundInput({ value, onChange, color = "#555" }) {
   );
 }
 
+// Text input for a quantity stored in °C or mmHg but typed in the display
+// unit: `value` is the converted number, and onChange gets each parseable
+// entry. The typed text is kept only while focused, so a unit change rescales
+// the field instead of reinterpreting it.
+function UnitInput({ value, onChange, style }) {
+  const [draft, setDraft] = useState(null);
+  return (
+    <input value={draft ?? String(value)} inputMode="decimal" style={style}
+      onFocus={() => setDraft(String(value))} onBlur={() => setDraft(null)}
+      onChange={e => {
+        setDraft(e.target.value);
+        const v = parseFloat(e.target.value);
+        if (Number.isFinite(v)) onChange(v);
+      }} />
+  );
+}
+
 // Slider with editable min/max endpoints underneath
 function EditableSlider({ label, badge, value, onChange, min, max, step, onMinChange, onMaxChange, accentColor = "#00f5d4" }) {
   return (
@@ -149,32 +409,973 @@ function EditableSlider({ label, badge, value, onChange, min, max, step, onMinCh
   );
 }
 
-export default function App() {
-  const pahNames = Object.keys(PAH_DATA);
+const MiniButton = ({ children, onClick, color = "#666", title, disabled }) => (
+  <button onClick={onClick} title={title} disabled={disabled} style={{
+    background: "transparent", border: `1px solid ${disabled ? "#2a2a2a" : "#333"}`,
+    color: disabled ? "#333" : color, borderRadius: 4, padding: "2px 8px",
+    fontSize: 10, fontFamily: "'Courier Prime', monospace", whiteSpace: "nowrap",
+    cursor: disabled ? "default" : "pointer",
+  }}>
+    {children}
+  </button>
+);
+
+const FIELD_LABELS = {
+  Tm: "Tm", Tb: "Tb", MW: "MW (g/mol)",
+  Tlo: "Fit from", Thi: "Fit to", Hfus: "ΔHfus (kJ/mol)",
+};
+const EDITOR_FIELDS = [...COMPOUND_FIELDS, ...OPTIONAL_FIELDS];
+// Editor fields entered in the display temperature unit; the entry stores °C
+const TEMPERATURE_FIELDS = ["Tm", "Tb", "Tlo", "Thi"];
+const fieldLabel = (f, tUnit) => (TEMPERATURE_FIELDS.includes(f) ? `${FIELD_LABELS[f]} (${tUnit})` : FIELD_LABELS[f]);
+
+const editorInputStyle = {
+  width: "100%", background: "rgba(255,255,255,0.06)", border: "1px solid #333",
+  borderRadius: 4, color: "#ddd", fontFamily: "'Space Mono', monospace",
+  fontSize: 11, padding: "4px 6px",
+};
+
+const editorLabelStyle = { fontSize: 9, color: "#666", fontFamily: "'Space Mono',monospace" };
+
+// Equation draft with coefficients as strings, for the editor inputs
+const equationDraft = (eq) => Object.fromEntries(Object.entries(eq).map(([k, v]) => [k, String(v)]));
+
+// Form picker plus coefficient inputs for one equation draft. With `noneLabel`
+// an empty form is allowed (no equation); with `sigma` each coefficient also
+// gets an uncertainty input.
+function EquationFields({ label, draft, onChange, onKeyDown, noneLabel, sigma, onSigmaChange, sigmaNote }) {
+  const def = EQUATIONS[draft.form];
+  return (
+    <div style={{ marginTop: 8 }}>
+      <label style={editorLabelStyle}>
+        {label}
+        <select value={draft.form} onChange={e => onChange({ ...draft, form: e.target.value })}
+          style={{ ...editorInputStyle, color: "#00f5d4" }}>
+          {noneLabel && <option value="">{noneLabel}</option>}
+          {Object.entries(EQUATIONS).map(([id, d]) => <option key={id} value={id}>{d.label}</option>)}
+        </select>
+      </label>
+      {def && (
+        <>
+          <div style={{ fontSize: 9, color: "#555", margin: "4px 0" }}>{def.formula}</div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 6 }}>
+            {def.params.map(p => (
+              <label key={p} style={editorLabelStyle}>
+                {p}{def.units?.[p] && ` (${def.units[p]})`}
+                <input value={draft[p] ?? ""} inputMode="decimal" onKeyDown={onKeyDown}
+                  onChange={e => onChange({ ...draft, [p]: e.target.value })}
+                  style={editorInputStyle} />
+              </label>
+            ))}
+            {sigma && def.params.map(p => (
+              <label key={`σ${p}`} style={editorLabelStyle}>
+                σ{p} <span style={{ color: "#444" }}>(optional)</span>
+                <input value={sigma[p] ?? ""} inputMode="decimal" onKeyDown={onKeyDown}
+                  onChange={e => onSigmaChange({ ...sigma, [p]: e.target.value })}
+                  style={editorInputStyle} />
+              </label>
+            ))}
+          </div>
+          {sigmaNote && <div style={{ fontSize: 9, color: "#777", marginTop: 4 }}>{sigmaNote}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Add/edit form for a user compound. Keeps its own draft so typing doesn't
+// re-render App; only a valid entry is handed to onSave. Temperatures are
+// edited in the display unit the editor opened with (equation coefficients
+// stay in their equation's own units).
+function CompoundEditor({ initialName, initial, tUnit: displayUnit, isNameTaken, onSave, onCancel }) {
+  const [tUnit] = useState(displayUnit);
+  const toDraftT = (v) => (v === undefined ? "" : String(Number(toTemperatureUnit(v, tUnit).toFixed(4))));
+  const fromDraftT = (s) => (String(s).trim() === "" ? "" : Number(fromTemperatureUnit(parseFloat(s), tUnit).toFixed(4)));
+  const [name, setName] = useState(initialName);
+  const [color, setColor] = useState(initial.color);
+  const [fields, setFields] = useState(() =>
+    Object.fromEntries(EDITOR_FIELDS.map(f => [f, TEMPERATURE_FIELDS.includes(f) ? toDraftT(initial[f]) : String(initial[f] ?? "")]))
+  );
+  const [eq, setEq] = useState(() => equationDraft(initial.eq));
+  const [sub, setSub] = useState(() => initial.sub ? equationDraft(initial.sub) : { form: "" });
+  const [source, setSource] = useState(initial.source ?? "");
+  const [meta, setMeta] = useState(() => ({
+    cas: initial.cas ?? "", formula: initial.formula ?? "", rings: String(initial.rings ?? ""),
+    synonyms: (initial.synonyms ?? []).join("; "), epa16: Boolean(initial.epa16),
+  }));
+  // σ inputs start from the entry's σ or the diagonal of its covariance; a
+  // covariance matrix (from a fit or import) is kept until σ or the form is edited
+  const [sigma, setSigma] = useState(() => {
+    const cov = initial.unc?.cov;
+    const params = EQUATIONS[initial.eq.form].params;
+    return Object.fromEntries(params.map((p, i) => [p, String(cov ? Number(Math.sqrt(cov[i][i]).toPrecision(4)) : initial.unc?.sigma?.[p] ?? "")]));
+  });
+  const [cov, setCov] = useState(initial.unc?.cov ?? null);
+  // Alternative literature sets as drafts; their uncertainties pass through untouched
+  const [sets, setSets] = useState(() => (initial.sets ?? []).map(set => ({
+    ...set, eq: equationDraft(set.eq), Tlo: toDraftT(set.Tlo), Thi: toDraftT(set.Thi), source: set.source ?? "",
+  })));
+  const [error, setError] = useState(null);
+  const updateSet = (i, patch) => setSets(prev => prev.map((set, j) => (j === i ? { ...set, ...patch } : set)));
+
+  const submit = () => {
+    const trimmed = name.trim();
+    const keepCov = cov && eq.form === initial.eq.form;
+    const celsius = (draft) => ({
+      ...draft, ...Object.fromEntries(TEMPERATURE_FIELDS.filter(f => f in draft).map(f => [f, fromDraftT(draft[f])])),
+    });
+    const entry = {
+      ...parseEntry({
+        ...celsius(fields), ...meta, source, eq, sub: sub.form ? sub : undefined,
+        unc: keepCov ? { cov } : { sigma }, sets: sets.map(celsius),
+        // A duplicated assumed range stays assumed until it is edited
+        rangeAssumed: initial.rangeAssumed && fields.Tlo === toDraftT(initial.Tlo) && fields.Thi === toDraftT(initial.Thi),
+      }),
+      color,
+    };
+    const badSigma = !keepCov && EQUATIONS[eq.form]?.params.find(p => String(sigma[p] ?? "").trim() !== "" && !(parseFloat(sigma[p]) > 0));
+    const err = validateCompound(trimmed, entry)
+      ?? (badSigma ? `σ${badSigma} must be a positive number` : null)
+      ?? (isNameTaken(trimmed) ? `"${trimmed}" already exists` : null);
+    if (err) { setError(err); return; }
+    onSave(trimmed, entry);
+  };
+
+  const onKeyDown = e => { if (e.key === "Enter") submit(); if (e.key === "Escape") onCancel(); };
+
+  return (
+    <div style={{ border: "1px solid rgba(255,255,255,0.1)", borderRadius: 6, padding: 10, marginTop: 10 }}>
+      <div style={{ display: "flex", gap: 6, marginBottom: 8 }}>
+        <input value={name} onChange={e => setName(e.target.value)} placeholder="Compound name"
+          style={{ ...editorInputStyle, flex: 1 }} />
+        <input type="color" value={color} onChange={e => setColor(e.target.value)} title="Curve color"
+          style={{ width: 32, height: 26, padding: 0, border: "none", background: "transparent" }} />
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 6 }}>
+        {EDITOR_FIELDS.map(f => (
+          <label key={f} style={editorLabelStyle}>
+            {fieldLabel(f, tUnit)}
+            <input value={fields[f]} inputMode="decimal" onKeyDown={onKeyDown}
+              onChange={e => setFields(prev => ({ ...prev, [f]: e.target.value }))}
+              style={editorInputStyle} />
+          </label>
+        ))}
+      </div>
+      <EquationFields label="Liquid vapor-pressure equation" draft={eq} onChange={setEq} onKeyDown={onKeyDown}
+        sigma={sigma} onSigmaChange={v => { setSigma(v); setCov(null); }}
+        sigmaNote={cov && eq.form === initial.eq.form ? "Full covariance matrix kept (σ shown are its diagonal) — editing σ replaces it." : null} />
+      <EquationFields label="Solid (sublimation) equation" draft={sub} onChange={setSub} onKeyDown={onKeyDown}
+        noneLabel="derived from liquid + ΔHfus" />
+      <input value={source} onChange={e => setSource(e.target.value)} placeholder="Source / citation (optional)"
+        style={{ ...editorInputStyle, marginTop: 6 }} />
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 6, marginTop: 8 }}>
+        {[["cas", "CAS no."], ["formula", "Formula"], ["rings", "Rings"]].map(([f, label]) => (
+          <label key={f} style={editorLabelStyle}>
+            {label}
+            <input value={meta[f]} inputMode={f === "rings" ? "numeric" : undefined} onKeyDown={onKeyDown}
+              onChange={e => setMeta(prev => ({ ...prev, [f]: e.target.value }))} style={editorInputStyle} />
+          </label>
+        ))}
+      </div>
+      <input value={meta.synonyms} onChange={e => setMeta(prev => ({ ...prev, synonyms: e.target.value }))}
+        onKeyDown={onKeyDown} placeholder="Synonyms, separated by ; (optional)" style={{ ...editorInputStyle, marginTop: 6 }} />
+      <label style={{ ...editorLabelStyle, display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+        <input type="checkbox" checked={meta.epa16} onChange={e => setMeta(prev => ({ ...prev, epa16: e.target.checked }))} />
+        On the EPA 16 priority-PAH list
+      </label>
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 10 }}>
+        <span style={editorLabelStyle}>Other literature sets (for comparison)</span>
+        <MiniButton onClick={() => setSets(prev => [...prev, { label: `Set ${prev.length + 2}`, eq: equationDraft(initial.eq), Tlo: "", Thi: "", source: "" }])}>+ set</MiniButton>
+      </div>
+      {sets.map((set, i) => (
+        <div key={i} style={{ borderLeft: "2px solid #333", paddingLeft: 8, marginTop: 8 }}>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input value={set.label} onChange={e => updateSet(i, { label: e.target.value })} placeholder="Label"
+              style={{ ...editorInputStyle, flex: 1 }} />
+            <MiniButton onClick={() => setSets(prev => prev.filter((_, j) => j !== i))} color="#f15bb5">×</MiniButton>
+          </div>
+          <EquationFields label="Equation" draft={set.eq} onChange={v => updateSet(i, { eq: v })} onKeyDown={onKeyDown} />
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 2fr", gap: 6, marginTop: 6 }}>
+            {["Tlo", "Thi"].map(f => (
+              <label key={f} style={editorLabelStyle}>
+                {fieldLabel(f, tUnit)}
+                <input value={set[f]} inputMode="decimal" onKeyDown={onKeyDown}
+                  onChange={e => updateSet(i, { [f]: e.target.value })} style={editorInputStyle} />
+              </label>
+            ))}
+            <label style={editorLabelStyle}>
+              Source
+              <input value={set.source} onChange={e => updateSet(i, { source: e.target.value })} style={editorInputStyle} />
+            </label>
+          </div>
+        </div>
+      ))}
+      {error && <div style={{ color: "#f15bb5", fontSize: 10, marginTop: 6 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 6, justifyContent: "flex-end", marginTop: 8 }}>
+        <MiniButton onClick={onCancel}>cancel</MiniButton>
+        <MiniButton onClick={submit} color="#00f5d4">save</MiniButton>
+      </div>
+    </div>
+  );
+}
+
+// Ring-count filter choices; the last also takes anything larger
+const RING_FILTERS = ["2", "3", "4", "5", "6+"];
+const NO_FILTERS = { query: "", rings: "", mwMin: "", mwMax: "", epa16: false };
+
+// A compound matches a search on its name, synonyms, CAS number or formula
+const matchesSearch = (name, c, query) =>
+  [name, ...(c.synonyms ?? []), c.cas, c.formula].some(v => v?.toLowerCase().includes(query));
+
+function matchesFilters(name, c, f) {
+  const query = f.query.trim().toLowerCase();
+  if (query && !matchesSearch(name, c, query)) return false;
+  if (f.rings && !(f.rings.endsWith("+") ? c.rings >= parseInt(f.rings, 10) : c.rings === Number(f.rings))) return false;
+  if (f.mwMin.trim() !== "" && !(c.MW >= parseFloat(f.mwMin))) return false;
+  if (f.mwMax.trim() !== "" && !(c.MW <= parseFloat(f.mwMax))) return false;
+  return !f.epa16 || Boolean(c.epa16);
+}
+
+// Compound picker: search, ring/MW/priority-list filters and bulk selection of
+// whatever the filters leave shown; the library editor comes in as children.
+function CompoundPanel({ library, names, selected, onToggle, onSelectMany, tUnit, libraryOpen, onLibraryToggle, children }) {
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const set = (patch) => setFilters(prev => ({ ...prev, ...patch }));
+  const shown = names.filter(name => matchesFilters(name, library[name], filters));
+  const filtered = shown.length < names.length;
+  const toT = (c) => Number(toTemperatureUnit(c, tUnit).toFixed(2));
+
+  return (
+    <Panel>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <Label>Select Compounds</Label>
+        <MiniButton onClick={onLibraryToggle} color="#00f5d4">
+          {libraryOpen ? "done" : "edit library"}
+        </MiniButton>
+      </div>
+      <input value={filters.query} onChange={e => set({ query: e.target.value })} type="search"
+        placeholder="Search name, synonym, CAS or formula" style={{ ...editorInputStyle, marginBottom: 6 }} />
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center", marginBottom: 6 }}>
+        <select value={filters.rings} onChange={e => set({ rings: e.target.value })} title="Ring count"
+          style={{ ...editorInputStyle, width: "auto", color: filters.rings ? "#00f5d4" : "#ddd" }}>
+          <option value="">any rings</option>
+          {RING_FILTERS.map(r => <option key={r} value={r}>{r} rings</option>)}
+        </select>
+        <span style={editorLabelStyle}>MW</span>
+        {[["mwMin", "min"], ["mwMax", "max"]].map(([f, placeholder]) => (
+          <input key={f} value={filters[f]} onChange={e => set({ [f]: e.target.value })} placeholder={placeholder}
+            inputMode="decimal" style={{ ...editorInputStyle, width: 52 }} />
+        ))}
+        <MiniButton onClick={() => set({ epa16: !filters.epa16 })} color={filters.epa16 ? "#00f5d4" : "#666"}
+          title="Only compounds on the US EPA list of 16 priority PAHs">EPA-16</MiniButton>
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4, alignItems: "center", marginBottom: 8 }}>
+        <span style={{ fontSize: 10, color: "#555", marginRight: "auto" }}>
+          {filtered ? `${shown.length} of ${names.length} shown` : `${names.length} compounds`} · {selected.size} selected
+        </span>
+        <MiniButton onClick={() => onSelectMany(shown, true)} disabled={!shown.length}>select {filtered ? "shown" : "all"}</MiniButton>
+        <MiniButton onClick={() => onSelectMany(shown, false)} disabled={!shown.length}>clear {filtered ? "shown" : "all"}</MiniButton>
+        {filtered && <MiniButton onClick={() => setFilters(NO_FILTERS)} color="#f15bb5">reset filters</MiniButton>}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+        {shown.map((name) => {
+          const active = selected.has(name);
+          const { color, eq, Tlo, Thi, source, cas, formula } = library[name];
+          const info = [cas && `CAS ${cas}`, formula, EQUATIONS[eq.form].label,
+            Tlo !== undefined && `${rangeBasis(library[name])} range ${toT(Tlo)}–${toT(Thi)} ${tUnit}`, source]
+            .filter(Boolean).join(" · ");
+          return (
+            <button key={name} onClick={() => onToggle(name)} title={info || undefined} style={{
+              border: `1.5px solid ${color}`, borderRadius: 5, padding: "5px 10px",
+              fontSize: 11, fontFamily: "'Courier Prime', monospace",
+              background: active ? color : "transparent", color: active ? "#111" : color,
+              cursor: "pointer", transition: "all 0.15s", whiteSpace: "nowrap",
+            }}>
+              {name}
+            </button>
+          );
+        })}
+        {!shown.length && <span style={{ fontSize: 10, color: "#555" }}>No compound matches these filters.</span>}
+      </div>
+      {children}
+    </Panel>
+  );
+}
+
+const formatSig = (v) => (Math.abs(v) >= 1e5 || Math.abs(v) < 1e-3) && v !== 0 ? v.toExponential(3) : Number(v.toPrecision(5));
+
+// Fit panel: pasted/uploaded T–P data in, fitted equation with standard errors,
+// R² and a residual plot out.
+function FitPanel({ text, onTextChange, unit, onUnitChange, tUnit, onTUnitChange, method, onMethodChange, points, fit, onSave }) {
+  const def = fit?.eq && EQUATIONS[fit.form];
+  // Results are shown in the units the data was entered in
+  const toT = (c) => Number(toTemperatureUnit(c, tUnit).toFixed(2));
+  return (
+    <Panel style={{ marginTop: 12 }}>
+      <Label>Fit Experimental Data</Label>
+      <textarea value={text} onChange={e => onTextChange(e.target.value)} rows={6}
+        placeholder={`T (${tUnit})    P\n120    0.85\n140    2.31\n…`}
+        style={{ ...editorInputStyle, resize: "vertical", lineHeight: 1.5 }} />
+      <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginTop: 6 }}>
+        <label style={editorLabelStyle}>
+          T unit{" "}
+          <select value={tUnit} onChange={e => onTUnitChange(e.target.value)} style={{ ...editorInputStyle, width: "auto", color: "#00f5d4" }}>
+            {Object.keys(TEMPERATURE_UNITS).map(u => <option key={u} value={u}>{u}</option>)}
+          </select>
+        </label>
+        <label style={editorLabelStyle}>
+          P unit{" "}
+          <select value={unit} onChange={e => onUnitChange(e.target.value)} style={{ ...editorInputStyle, width: "auto", color: "#00f5d4" }}>
+            {Object.keys(PRESSURE_UNITS).map(u => <option key={u} value={u}>{u}</option>)}
+          </select>
+        </label>
+        <label style={editorLabelStyle}>
+          Model{" "}
+          <select value={method} onChange={e => onMethodChange(e.target.value)} style={{ ...editorInputStyle, width: "auto", color: "#00f5d4" }}>
+            <option value="auto">Antoine (fallback: C–C)</option>
+            <option value="antoine">Antoine</option>
+            <option value="clausius">Clausius–Clapeyron</option>
+          </select>
+        </label>
+        <label style={{ display: "inline-flex" }}>
+          <input type="file" accept=".csv,.tsv,.txt,text/plain,text/csv" style={{ display: "none" }}
+            onChange={async e => { const f = e.target.files[0]; e.target.value = ""; if (f) onTextChange(await f.text()); }} />
+          <span style={{
+            border: "1px solid #333", color: "#666", borderRadius: 4, padding: "2px 8px",
+            fontSize: 10, fontFamily: "'Courier Prime', monospace", cursor: "pointer",
+          }}>upload</span>
+        </label>
+        <MiniButton onClick={() => onTextChange("")} disabled={!text}>clear</MiniButton>
+        <span style={{ fontSize: 10, color: "#555", marginLeft: "auto" }}>{points.length} point{points.length === 1 ? "" : "s"}</span>
+      </div>
+
+      {fit?.error && points.length > 0 && <div style={{ color: "#f15bb5", fontSize: 10, marginTop: 8 }}>{fit.error}</div>}
+      {def && (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ fontSize: 11, color: "#aaa", marginBottom: 4 }}>
+            {def.label} <span style={{ color: "#555", fontSize: 10 }}>{def.formula}</span>
+          </div>
+          {fit.fallback && <div style={{ fontSize: 10, color: "#f4a261", marginBottom: 4 }}>Clausius–Clapeyron fallback: {fit.fallback}</div>}
+          <table style={{ borderCollapse: "collapse", fontSize: 10, fontFamily: "'Space Mono',monospace", marginBottom: 6 }}>
+            <tbody>
+              {def.params.map(p => (
+                <tr key={p}>
+                  <td style={{ color: "#777", paddingRight: 10 }}>{p}{def.units?.[p] && ` (${def.units[p]})`}</td>
+                  <td style={{ color: "#ddd", textAlign: "right" }}>{formatSig(fit.eq[p])}</td>
+                  <td style={{ color: "#777", paddingLeft: 8 }}>{fit.se[p] ? `± ${formatSig(fit.se[p])}` : ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ fontSize: 10, color: "#888", fontFamily: "'Space Mono',monospace" }}>
+            R² = {fit.r2.toFixed(5)} · RMS = {fit.rms.toExponential(2)} log₁₀ units · n = {fit.n} · {toT(fit.Tlo)}–{toT(fit.Thi)} {tUnit}
+          </div>
+          <ResponsiveContainer width="100%" height={140}>
+            <ScatterChart margin={{ top: 10, right: 12, left: 0, bottom: 14 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+              <XAxis dataKey="T" type="number" domain={["dataMin", "dataMax"]} stroke="#444" tick={{ fill: "#666", fontSize: 9 }}
+                label={{ value: `T (${tUnit})`, position: "insideBottom", offset: -6, fill: "#555", fontSize: 10 }} />
+              <YAxis dataKey="residual" type="number" stroke="#444" tick={{ fill: "#666", fontSize: 9 }} width={52}
+                tickFormatter={v => v.toExponential(0)}
+                label={{ value: "Δlog₁₀P", angle: -90, position: "insideLeft", fill: "#555", fontSize: 10 }} />
+              <ReferenceLine y={0} stroke="#555" />
+              <Scatter data={fit.residuals.map(r => ({ ...r, T: toT(r.T) }))} fill="#fee440" isAnimationActive={false} />
+            </ScatterChart>
+          </ResponsiveContainer>
+          <div style={{ display: "flex", justifyContent: "flex-end" }}>
+            <MiniButton onClick={onSave} color="#00f5d4">save to library</MiniButton>
+          </div>
+        </div>
+      )}
+    </Panel>
+  );
+}
+
+const formatPressure = (v) => v < 0.0001 ? v.toExponential(3) : v < 1 ? v.toFixed(5) : v.toFixed(3);
+
+const cellStyle = { padding: "6px 10px", textAlign: "right", color: "#ccc", fontFamily: "'Space Mono',monospace", fontSize: 10 };
+
+// Mixture builder and Raoult's-law results.
+function MixturePanel({ rows, onRowsChange, basis, onBasisChange, library, result, tempLabel, pRefLabel, pUnit, tUnit }) {
+  const available = Object.keys(library).filter(n => !rows.some(r => r.name === n));
+  const setAmount = (name, amount) => onRowsChange(rows.map(r => (r.name === name ? { ...r, amount } : r)));
+  return (
+    <Panel style={{ marginTop: 12 }}>
+      <Label>Ideal Mixture (Raoult's Law)</Label>
+      <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+        {["mole", "mass"].map(b => (
+          <MiniButton key={b} onClick={() => onBasisChange(b)} color={basis === b ? "#00f5d4" : "#666"}>
+            {b} fractions
+          </MiniButton>
+        ))}
+        <select value="" onChange={e => e.target.value && onRowsChange([...rows, { name: e.target.value, amount: "1" }])}
+          style={{ ...editorInputStyle, width: "auto", color: "#00f5d4", marginLeft: "auto" }}>
+          <option value="">+ add component…</option>
+          {available.map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+      </div>
 
-  const [selected, setSelected] = useState(
-    new Set(["Naphthalene", "Phenanthrene", "Pyrene", "Fluoranthene", "Benzo[ghi]perylene"])
+      {rows.map(r => {
+        const comp = result?.comps.find(m => m.name === r.name);
+        return (
+          <div key={r.name} style={{ display: "flex", alignItems: "center", gap: 6, padding: "2px 0", fontSize: 11 }}>
+            <span style={{ color: library[r.name]?.color ?? "#555", flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>● {r.name}</span>
+            <input value={r.amount} inputMode="decimal" onChange={e => setAmount(r.name, e.target.value)}
+              style={{ ...editorInputStyle, width: 72, textAlign: "right" }} />
+            <span style={{ width: 58, textAlign: "right", color: "#777", fontSize: 10, fontFamily: "'Space Mono',monospace" }}>
+              {comp ? `x ${comp.x.toFixed(3)}` : "—"}
+            </span>
+            <MiniButton onClick={() => onRowsChange(rows.filter(o => o.name !== r.name))} color="#f15bb5">×</MiniButton>
+          </div>
+        );
+      })}
+      {!rows.length && <div style={{ fontSize: 10, color: "#555" }}>Add components and enter their amounts (any scale — normalised to fractions).</div>}
+
+      {result && (
+        <>
+          <div style={{ display: "flex", gap: 16, flexWrap: "wrap", margin: "10px 0 8px", fontSize: 11, fontFamily: "'Space Mono',monospace" }}>
+            <span style={{ color: "#aaa" }}>At P_ref = {pRefLabel}:</span>
+            <span style={{ color: "#ff6b6b" }}>bubble T = {result.bubbleT !== null ? temperatureLabel(result.bubbleT.toFixed(1), tUnit) : "—"}</span>
+            <span style={{ color: "#ff6b6b" }}>dew T = {result.dewT !== null ? temperatureLabel(result.dewT.toFixed(1), tUnit) : "—"}</span>
+          </div>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr style={{ background: "rgba(255,255,255,0.05)" }}>
+                  {["Component", "x (mol)", "w (mass)", `P_sat (${pUnit})`, `p_i (${pUnit})`, "y (vapor)"].map(h => (
+                    <th key={h} style={{ padding: "6px 10px", textAlign: h === "Component" ? "left" : "right", color: "#666", fontWeight: "normal", whiteSpace: "nowrap" }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.comps.map(m => (
+                  <tr key={m.name} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+                    <td style={{ padding: "6px 10px", color: m.c.color, whiteSpace: "nowrap" }}>● {m.name}</td>
+                    <td style={cellStyle}>{m.x.toFixed(4)}</td>
+                    <td style={cellStyle}>{m.w.toFixed(4)}</td>
+                    <td style={cellStyle}>{formatPressure(m.Psat)}</td>
+                    <td style={cellStyle}>{formatPressure(m.partial)}</td>
+                    <td style={{ ...cellStyle, color: "#00f5d4" }}>{m.y.toFixed(4)}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td style={{ padding: "6px 10px", color: "#aaa" }}>Total at {tempLabel}</td>
+                  <td style={cellStyle}>1</td>
+                  <td style={cellStyle}>1</td>
+                  <td style={cellStyle}></td>
+                  <td style={{ ...cellStyle, color: "#ff6b6b" }}>{formatPressure(result.Pbubble)}</td>
+                  <td style={cellStyle}>1</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <div style={{ fontSize: 9, color: "#555", marginTop: 6 }}>
+            Ideal liquid solution: each component uses its liquid (subcooled below Tm) vapor pressure. Vapor composition y is for the liquid at its bubble point at {tempLabel}.
+          </div>
+        </>
+      )}
+    </Panel>
   );
+}
+
+const SUPERSCRIPTS = { "-": "⁻", 0: "⁰", 1: "¹", 2: "²", 3: "³", 4: "⁴", 5: "⁵", 6: "⁶", 7: "⁷", 8: "⁸", 9: "⁹" };
+const powerOfTen = (n) => `10${String(n).replace(/[-\d]/g, ch => SUPERSCRIPTS[ch])}`;
+
+// Environmental mode: C*, VBS bins and particle fractions at the cursor
+// temperature for a user-set organic aerosol loading.
+function PartitioningPanel({ loading, onLoadingChange, vbs, coa, tempLabel }) {
+  return (
+    <Panel style={{ marginTop: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", flexWrap: "wrap", gap: 6 }}>
+        <Label>Gas–Particle Partitioning (VBS)</Label>
+        <label style={editorLabelStyle}>
+          C_OA (µg/m³){" "}
+          <input value={loading} inputMode="decimal" onChange={e => onLoadingChange(e.target.value)}
+            style={{ ...editorInputStyle, width: 72, textAlign: "right", borderColor: coa ? "#333" : "#f15bb5" }} />
+        </label>
+      </div>
+      {!vbs.compounds.length && <div style={{ fontSize: 10, color: "#555" }}>Select compounds to bin them by saturation concentration.</div>}
+      {vbs.compounds.length > 0 && coa && (
+        <>
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={vbs.bins.map(b => ({ ...b, label: powerOfTen(b.bin) }))} margin={{ top: 10, right: 12, left: 0, bottom: 18 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+              <XAxis dataKey="label" stroke="#444" tick={{ fill: "#666", fontSize: 10 }}
+                label={{ value: `C* at ${tempLabel} (µg/m³)`, position: "insideBottom", offset: -8, fill: "#555", fontSize: 10 }} />
+              <YAxis stroke="#444" tick={{ fill: "#666", fontSize: 9 }} allowDecimals={false} width={36}
+                label={{ value: "compounds", angle: -90, position: "insideLeft", fill: "#555", fontSize: 10 }} />
+              <Tooltip
+                cursor={{ fill: "rgba(255,255,255,0.04)" }}
+                contentStyle={{ background: "rgba(8,11,20,0.97)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 8, fontFamily: "'Courier Prime', monospace", fontSize: 12 }}
+                labelFormatter={(label, payload) => `${label} µg/m³: ${payload?.[0]?.payload.names.join(", ") || "—"}`}
+                formatter={v => v.toFixed(3)} />
+              <Bar dataKey="particle" name="particle" stackId="vbs" fill="#00f5d4" isAnimationActive={false} />
+              <Bar dataKey="gas" name="gas" stackId="vbs" fill="#9b5de5" fillOpacity={0.6} isAnimationActive={false} />
+            </BarChart>
+          </ResponsiveContainer>
+          <div style={{ display: "flex", gap: 16, justifyContent: "center", fontSize: 10, marginBottom: 8 }}>
+            <span style={{ color: "#00f5d4" }}>■ particle phase</span>
+            <span style={{ color: "#9b5de5" }}>■ gas phase</span>
+          </div>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr style={{ background: "rgba(255,255,255,0.05)" }}>
+                  {["Compound", "C* (µg/m³)", "VBS bin", "Class", "Particle fraction"].map(h => (
+                    <th key={h} style={{ padding: "6px 10px", textAlign: h === "Compound" ? "left" : "right", color: "#666", fontWeight: "normal", whiteSpace: "nowrap" }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {vbs.compounds.map(m => (
+                  <tr key={m.name} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+                    <td style={{ padding: "6px 10px", color: m.c.color, whiteSpace: "nowrap" }}>● {m.name}</td>
+                    <td style={{ ...cellStyle, color: m.extrapolated ? "#f4a261" : cellStyle.color }}>
+                      {m.extrapolated && <span title={EXTRAP_TITLE}>⚠ </span>}
+                      {formatSig(m.cStar)}
+                    </td>
+                    <td style={cellStyle}>{powerOfTen(m.bin)}</td>
+                    <td style={cellStyle}>{m.vclass}</td>
+                    <td style={{ ...cellStyle, color: "#00f5d4" }}>{m.fp.toFixed(4)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+      {!coa && <div style={{ fontSize: 10, color: "#f15bb5", marginTop: 6 }}>Enter a positive organic aerosol loading.</div>}
+      <div style={{ fontSize: 9, color: "#555", marginTop: 6 }}>
+        C* = MW·P°/(R·T) from the subcooled-liquid vapor pressure, Fp = 1/(1 + C*/C_OA). Bars count each compound as equal mass split between the phases.
+      </div>
+    </Panel>
+  );
+}
+
+const formatMinutes = (t) => (t === null ? "—" : t < 1 ? `${(t * 60).toPrecision(3)} s` : t < 120 ? `${t.toPrecision(3)} min` : `${(t / 60).toPrecision(3)} h`);
+
+// Evaporation/sublimation kinetics: sample and program inputs, simulated TGA
+// curves and bake-out times.
+function KineticsPanel({ inputs, onInputsChange, axis, onAxisChange, sim, toT, fromT, tUnit }) {
+  const field = (key, label, width = 64) => (
+    <label key={key} style={editorLabelStyle}>
+      {label}
+      <input value={inputs[key]} inputMode="decimal" onChange={e => onInputsChange({ ...inputs, [key]: e.target.value })}
+        style={{ ...editorInputStyle, width, display: "block" }} />
+    </label>
+  );
+  // Temperatures and the rate are held in °C; a rate converts by the scale only
+  const scale = TEMPERATURE_UNITS[tUnit].scale;
+  const tempField = (key, label, toDisplay = toT, fromDisplay = fromT) => (
+    <label key={key} style={editorLabelStyle}>
+      {label}
+      <UnitInput value={toDisplay(inputs[key])} onChange={v => onInputsChange({ ...inputs, [key]: fromDisplay(v) })}
+        style={{ ...editorInputStyle, width: 64, display: "block" }} />
+    </label>
+  );
+  const ramp = inputs.kind === "ramp";
+  return (
+    <Panel style={{ marginTop: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", flexWrap: "wrap", gap: 6 }}>
+        <Label>Evaporation Kinetics / TGA</Label>
+        <span style={{ display: "flex", gap: 4 }}>
+          {["ramp", "isothermal"].map(k => (
+            <MiniButton key={k} onClick={() => onInputsChange({ ...inputs, kind: k })} color={inputs.kind === k ? "#00f5d4" : "#666"}>{k}</MiniButton>
+          ))}
+        </span>
+      </div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 8 }}>
+        {field("area", "Area (cm²)")}
+        {field("mass", "Mass (mg)")}
+        {field("alpha", "α (evap. coeff.)")}
+        {ramp
+          ? [tempField("T0", `From (${tUnit})`), tempField("T1", `To (${tUnit})`),
+            tempField("rate", `Rate (${tUnit}/min)`, r => Number((r * scale).toFixed(4)), r => r / scale)]
+          : [tempField("T", `T (${tUnit})`), field("duration", "Duration (min)")]}
+      </div>
+
+      {sim?.error && <div style={{ color: "#f15bb5", fontSize: 10 }}>{sim.error}</div>}
+      {!sim && <div style={{ fontSize: 10, color: "#555" }}>Select compounds to simulate their mass loss.</div>}
+      {sim?.points && (
+        <>
+          {ramp && (
+            <div style={{ display: "flex", gap: 4, justifyContent: "flex-end" }}>
+              {[["T", "vs T"], ["t", "vs time"]].map(([id, label]) => (
+                <MiniButton key={id} onClick={() => onAxisChange(id)} color={axis === id ? "#00f5d4" : "#666"}>{label}</MiniButton>
+              ))}
+            </div>
+          )}
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={sim.points} margin={{ top: 10, right: 18, left: 0, bottom: 18 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+              <XAxis dataKey={ramp && axis === "T" ? "T" : "t"} type="number" domain={["dataMin", "dataMax"]}
+                stroke="#444" tick={{ fill: "#666", fontSize: 10 }} tickFormatter={v => formatSig(v)}
+                label={{ value: ramp && axis === "T" ? `Temperature (${tUnit})` : "Time (min)", position: "insideBottom", offset: -8, fill: "#555", fontSize: 10 }} />
+              <YAxis domain={[0, 100]} stroke="#444" tick={{ fill: "#666", fontSize: 9 }} width={40}
+                label={{ value: "mass %", angle: -90, position: "insideLeft", fill: "#555", fontSize: 10 }} />
+              <Tooltip
+                contentStyle={{ background: "rgba(8,11,20,0.97)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 8, fontFamily: "'Courier Prime', monospace", fontSize: 12 }}
+                labelFormatter={(v, payload) => {
+                  const pt = payload?.[0]?.payload;
+                  return pt ? `t = ${formatMinutes(pt.t)} · T = ${temperatureLabel(formatSig(pt.T), tUnit)}` : "";
+                }}
+                formatter={v => `${v.toFixed(1)} %`} />
+              {sim.results.map(r => (
+                <Line key={r.name} type="monotone" dataKey={r.name} name={r.name} stroke={r.c.color}
+                  dot={false} strokeWidth={2} isAnimationActive={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr style={{ background: "rgba(255,255,255,0.05)" }}>
+                  {["Compound", "Initial rate (mg/min)", "50 % lost", "Fully evaporated"].map(h => (
+                    <th key={h} style={{ padding: "6px 10px", textAlign: h === "Compound" ? "left" : "right", color: "#666", fontWeight: "normal", whiteSpace: "nowrap" }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sim.results.map(r => (
+                  <tr key={r.name} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+                    <td style={{ padding: "6px 10px", color: r.c.color, whiteSpace: "nowrap" }}>● {r.name}</td>
+                    <td style={cellStyle}>{formatSig(r.initialRate * 6e7)}</td>
+                    <td style={cellStyle}>{formatMinutes(r.t50)}</td>
+                    <td style={cellStyle}>{r.tEnd === null ? "not within program" : formatMinutes(r.tEnd)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+      <div style={{ fontSize: 9, color: "#555", marginTop: 6 }}>
+        Hertz–Knudsen–Langmuir: J = α·P_sat·√(M/2πRT) from a constant exposed area (free evaporation into vacuum; α &lt; 1 for slower real conditions).
+        Solids below Tm sublime.
+      </div>
+    </Panel>
+  );
+}
+
+// Heatmap colour for a separation score as a fraction of the grid maximum
+const separationColor = (f) => `hsl(${250 - 80 * f}, ${55 + 35 * f}%, ${12 + 45 * f}%)`;
+
+// Separation planner: target vs impurities over the slider T and P_ref ranges.
+function SeparationPanel({ library, target, onTargetChange, impurities, onImpuritiesChange, threshold, onThresholdChange, map, toT, toP, fromP, tUnit, pUnit }) {
+  const others = Object.keys(library).filter(n => n !== target);
+  const maxScore = map ? Math.max(...map.rows.flat().map(c => (Number.isFinite(c.score) ? c.score : 0)), 1e-9) : 1;
+  const fmt = (c) => `${temperatureLabel(formatSig(toT(c.T)), tUnit)}, ${formatSig(toP(c.P))} ${pUnit}`;
+  return (
+    <Panel style={{ marginTop: 12 }}>
+      <Label>Separation Planner (Relative Volatility)</Label>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 8 }}>
+        <label style={editorLabelStyle}>
+          Target
+          <select value={target} onChange={e => onTargetChange(e.target.value)} style={{ ...editorInputStyle, width: "auto", display: "block", color: library[target]?.color }}>
+            {Object.keys(library).map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+        <label style={editorLabelStyle}>
+          Min. target P ({pUnit})
+          <UnitInput value={roundSig(toP(threshold), 6)} onChange={v => onThresholdChange(fromP(Math.max(0, v)))}
+            style={{ ...editorInputStyle, width: 80, display: "block" }} />
+        </label>
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 8 }}>
+        {others.map(n => {
+          const on = impurities.includes(n);
+          return (
+            <button key={n} onClick={() => onImpuritiesChange(on ? impurities.filter(i => i !== n) : [...impurities, n])} style={{
+              border: `1px solid ${library[n].color}`, borderRadius: 4, padding: "2px 7px", fontSize: 10,
+              fontFamily: "'Courier Prime', monospace", cursor: "pointer",
+              background: on ? library[n].color : "transparent", color: on ? "#111" : library[n].color,
+            }}>{n}</button>
+          );
+        })}
+      </div>
+
+      {!map && <div style={{ fontSize: 10, color: "#555" }}>Pick one or more impurities to map the separation window.</div>}
+      {map && (
+        <>
+          <div style={{ display: "flex", gap: 6 }}>
+            <div style={{ display: "flex", flexDirection: "column", justifyContent: "space-between", fontSize: 9, color: "#666", fontFamily: "'Space Mono',monospace", textAlign: "right", width: 54 }}>
+              <span>{formatSig(toP(map.Ps[map.Ps.length - 1]))}</span>
+              <span style={{ color: "#555" }}>P ({pUnit})</span>
+              <span>{formatSig(toP(map.Ps[0]))}</span>
+            </div>
+            <svg viewBox={`0 0 ${map.Ts.length} ${map.Ps.length}`} preserveAspectRatio="none"
+              style={{ flex: 1, height: 200, display: "block", borderRadius: 4 }}>
+              {map.rows.map((row, i) => row.map((cell, j) => (
+                <rect key={`${i}-${j}`} x={j} y={map.Ps.length - 1 - i} width={1.02} height={1.02}
+                  fill={cell.workable ? separationColor(cell.score / maxScore) : "#1a1a1a"}>
+                  <title>{`${fmt(cell)}\nclosest: ${cell.closest.name}, α = ${formatSig(cell.closest.alpha)}${cell.workable ? "" : "\n(target not volatile enough here)"}`}</title>
+                </rect>
+              )))}
+              {map.best && (
+                <rect x={map.Ts.indexOf(map.best.T)} y={map.Ps.length - 1 - map.Ps.indexOf(map.best.P)} width={1} height={1}
+                  fill="none" stroke="#fff" strokeWidth={0.25} />
+              )}
+            </svg>
+          </div>
+          <div style={{ display: "flex", justifyContent: "space-between", fontSize: 9, color: "#666", fontFamily: "'Space Mono',monospace", margin: "3px 0 0 60px" }}>
+            <span>{formatSig(toT(map.Ts[0]))}</span>
+            <span style={{ color: "#555" }}>T ({tUnit})</span>
+            <span>{formatSig(toT(map.Ts[map.Ts.length - 1]))}</span>
+          </div>
+          <div style={{ fontSize: 10, color: "#555", margin: "4px 0 8px" }}>
+            Brighter = larger |log₁₀ α| against the closest impurity · grey: target below the operating pressure or threshold · □ best condition
+          </div>
+          {map.best ? (
+            <div style={{ fontSize: 11, fontFamily: "'Space Mono',monospace" }}>
+              <div style={{ color: "#00f5d4", marginBottom: 4 }}>Best: {fmt(map.best)}</div>
+              {map.best.alphas.map(a => (
+                <div key={a.name} style={{ color: a.name === map.best.closest.name ? "#fee440" : "#999", fontSize: 10 }}>
+                  α({target} / {a.name}) = {formatSig(a.alpha)}{a.name === map.best.closest.name && " ← closest"}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div style={{ fontSize: 10, color: "#f15bb5" }}>The target never reaches the operating pressure and threshold in this window — widen the temperature range or lower P_ref.</div>
+          )}
+        </>
+      )}
+    </Panel>
+  );
+}
+
+function SessionsPanel({ sessions, currentQuery, onSave, onLoad, onRename, onDelete }) {
+  const [name, setName] = useState("");
+  const [renaming, setRenaming] = useState(null); // { id, name } | null
+  const [notice, setNotice] = useState(null);
+
+  const linkFor = (query) => {
+    const base = window.location.origin + window.location.pathname;
+    return query ? `${base}?${query}` : base;
+  };
+  const copyLink = (query) => {
+    const url = linkFor(query);
+    (navigator.clipboard?.writeText(url) ?? Promise.reject())
+      .then(() => setNotice("Link copied to clipboard."))
+      .catch(() => window.prompt("Copy this link:", url));
+  };
+  const save = () => {
+    onSave(name.trim() || `Session ${sessions.length + 1}`);
+    setName("");
+  };
+  const commitRename = () => {
+    if (renaming.name.trim()) onRename(renaming.id, renaming.name.trim());
+    setRenaming(null);
+  };
+
+  return (
+    <Panel style={{ marginTop: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <Label>Sessions</Label>
+        <div style={{ display: "flex", gap: 4 }}>
+          <MiniButton onClick={() => copyLink(currentQuery)} title="Copy a link to the current view" color="#00f5d4">copy link</MiniButton>
+          <MiniButton onClick={() => downloadFile("pah-sessions.json", sessionsToJSON(sessions), "application/json")}
+            disabled={!sessions.length} title="Download saved sessions as JSON">export</MiniButton>
+        </div>
+      </div>
+      <div style={{ display: "flex", gap: 6, marginBottom: 8 }}>
+        <input value={name} placeholder="Name this view…" onChange={e => setName(e.target.value)}
+          onKeyDown={e => e.key === "Enter" && save()}
+          style={{ ...editorInputStyle, flex: 1 }} />
+        <MiniButton onClick={save} color="#00f5d4">save</MiniButton>
+      </div>
+
+      {sessions.map(s => (
+        <div key={s.id} style={{ display: "flex", alignItems: "center", gap: 4, padding: "3px 0", fontSize: 11 }}>
+          {renaming?.id === s.id ? (
+            <input autoFocus value={renaming.name} onChange={e => setRenaming({ id: s.id, name: e.target.value })}
+              onKeyDown={e => { if (e.key === "Enter") commitRename(); if (e.key === "Escape") setRenaming(null); }}
+              onBlur={commitRename}
+              style={{ ...editorInputStyle, flex: 1 }} />
+          ) : (
+            <span onClick={() => onLoad(s)} title={`Load · saved ${new Date(s.savedAt).toLocaleString()}`}
+              style={{ flex: 1, cursor: "pointer", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+                color: s.query === currentQuery ? "#00f5d4" : "#ccc" }}>
+              {s.name}
+            </span>
+          )}
+          <MiniButton onClick={() => copyLink(s.query)} title="Copy link">link</MiniButton>
+          <MiniButton onClick={() => setRenaming({ id: s.id, name: s.name })} title="Rename">✎</MiniButton>
+          <MiniButton onClick={() => onDelete(s.id)} color="#f15bb5" title="Delete">×</MiniButton>
+        </div>
+      ))}
+      {!sessions.length && <div style={{ fontSize: 10, color: "#555" }}>Saved views are kept in this browser. The address bar always links to the current view.</div>}
+      {notice && <div style={{ fontSize: 10, color: "#00f5d4", marginTop: 6 }}>{notice}</div>}
+    </Panel>
+  );
+}
+
+// Service-worker status. The app is precached on first load and then runs
+// offline; a newly deployed build is downloaded in the background and waits
+// here until the user reloads, so work in progress is never dropped mid-session.
+function UpdatePrompt() {
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW();
+  if (!offlineReady && !needRefresh) return null;
+  const dismiss = () => { setOfflineReady(false); setNeedRefresh(false); };
+  return (
+    <div role="status" className="update-prompt" style={{
+      position: "fixed", zIndex: 200, display: "flex", alignItems: "center", gap: 8,
+      background: "rgba(8,11,20,0.97)", border: "1px solid #00f5d433", borderRadius: 6, padding: "8px 12px",
+      fontSize: 11, color: "#aaa", fontFamily: "'Space Mono', monospace", boxShadow: "0 4px 16px rgba(0,0,0,0.5)",
+    }}>
+      <span>{needRefresh ? "A new version is available." : "Ready to work offline."}</span>
+      {needRefresh && <MiniButton color="#00f5d4" onClick={() => updateServiceWorker(true)}>reload</MiniButton>}
+      <MiniButton onClick={dismiss}>{needRefresh ? "later" : "ok"}</MiniButton>
+    </div>
+  );
+}
+
+export default function App() {
+  // User compounds (persisted) layered over the read-only built-ins
+  const [customCompounds, setCustomCompounds] = useState(loadCustomCompounds);
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [editing, setEditing] = useState(null); // { originalName, name, entry } | null
+  const [libraryNotice, setLibraryNotice] = useState(null);
+
+  useEffect(() => { saveCustomCompounds(customCompounds); }, [customCompounds]);
+
+  const library = useMemo(() => ({ ...BUILTIN_LIBRARY, ...customCompounds }), [customCompounds]);
+  const pahNames = Object.keys(library);
+
+  // View state starts from the URL (see encodeView/decodeView)
+  const [initialView] = useState(() => decodeView(window.location.search));
+
+  const [selected, setSelected] = useState(() => new Set(initialView.selected));
 
   // Temperature slider state
-  const [tMin, setTMin] = useState(-80);
-  const [tMax, setTMax] = useState(600);
-  const [tempC, setTempC] = useState(150);
+  const [tMin, setTMin] = useState(initialView.tMin);
+  const [tMax, setTMax] = useState(initialView.tMax);
+  const [tempC, setTempC] = useState(initialView.tempC);
 
   // Pressure reference slider state (values in Torr/mmHg — same thing)
-  const [pRefMin, setPRefMin] = useState(0.05);
-  const [pRefMax, setPRefMax] = useState(100);
-  const [pressureRef, setPressureRef] = useState(10);
+  const [pRefMin, setPRefMin] = useState(initialView.pRefMin);
+  const [pRefMax, setPRefMax] = useState(initialView.pRefMax);
+  const [pressureRef, setPressureRef] = useState(initialView.pressureRef);
 
   // Pressure Y-axis bounds (in Torr)
-  const [pAxisMin, setPAxisMin] = useState(0.05);
-  const [pAxisMax, setPAxisMax] = useState(null); // null = auto
+  const [pAxisMin, setPAxisMin] = useState(initialView.pAxisMin);
+  const [pAxisMax, setPAxisMax] = useState(initialView.pAxisMax); // null = auto
+
+  // Display units — state above stays in °C and Torr; see toPressureUnit etc.
+  const [pUnit, setPUnit] = useState(initialView.pUnit);
+  const [tUnit, setTUnit] = useState(initialView.tUnit);
+
+  // Model → display and display → model. Values coming back from the UI are
+  // rounded so slider steps in °F or Pa don't leave long fractions in state.
+  const toP = (mmhg) => toPressureUnit(mmhg, pUnit);
+  const fromP = (v) => roundSig(fromPressureUnit(v, pUnit), 6);
+  const toT = (c) => Number(toTemperatureUnit(c, tUnit).toFixed(2));
+  const fromT = (v) => Number(fromTemperatureUnit(v, tUnit).toFixed(4));
+  const fmtT = (c) => temperatureLabel(toT(c), tUnit);
+  const fmtP = (mmhg) => `${roundSig(toP(mmhg))} ${pUnit}`;
+  const [logScale, setLogScale] = useState(initialView.logScale);
+  const [isobaric, setIsobaric] = useState(initialView.isobaric);
+
+  const viewQuery = encodeView({
+    selected: pahNames.filter(n => selected.has(n)).concat([...selected].filter(n => !library[n])),
+    tMin, tMax, tempC, pRefMin, pRefMax, pressureRef, pAxisMin, pAxisMax, pUnit, tUnit, logScale, isobaric,
+  });
+
+  const applyView = useCallback((v) => {
+    setSelected(new Set(v.selected));
+    setTMin(v.tMin); setTMax(v.tMax); setTempC(v.tempC);
+    setPRefMin(v.pRefMin); setPRefMax(v.pRefMax); setPressureRef(v.pressureRef);
+    setPAxisMin(v.pAxisMin); setPAxisMax(v.pAxisMax);
+    setPUnit(v.pUnit); setTUnit(v.tUnit); setLogScale(v.logScale); setIsobaric(v.isobaric);
+  }, []);
+
+  // Push settled view changes as history entries (debounced so a slider drag
+  // is one step), and restore the view on back/forward. After a restore the
+  // query already matches the URL, so nothing is pushed. On first load a
+  // non-canonical link is rewritten in place, so Back leaves the app instead
+  // of returning to the same view.
+  const urlSynced = useRef(false);
+  useEffect(() => {
+    const initial = !urlSynced.current;
+    urlSynced.current = true;
+    if (viewQuery === window.location.search.replace(/^\?/, "")) return;
+    const url = viewQuery ? `?${viewQuery}` : window.location.pathname;
+    if (initial) { window.history.replaceState(null, "", url); return; }
+    const id = setTimeout(() => window.history.pushState(null, "", url), 400);
+    return () => clearTimeout(id);
+  }, [viewQuery]);
+
+  useEffect(() => {
+    const onPop = () => applyView(decodeView(window.location.search));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [applyView]);
+
+  // Named sessions: { id, name, query, savedAt }
+  const [sessions, setSessions] = useState(loadSessions);
+  useEffect(() => { saveSessions(sessions); }, [sessions]);
 
-  const [pUnit, setPUnit] = useState("Torr");
-  const [logScale, setLogScale] = useState(true);
+  const saveSession = (name) => setSessions(prev => [
+    ...prev,
+    { id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name, query: viewQuery, savedAt: new Date().toISOString() },
+  ]);
+  const renameSession = (id, name) => setSessions(prev => prev.map(s => (s.id === id ? { ...s, name } : s)));
+  const deleteSession = (id) => setSessions(prev => prev.filter(s => s.id !== id));
   const [showTable, setShowTable] = useState(true);
+  const [tableSort, setTableSort] = useState(null);   // { key, dir }; null = library order
+  const [derivedView, setDerivedView] = useState("clausius");
+
+  // Literature-set comparison: overlay toggle, compared compound, reference set
+  const [showSets, setShowSets] = useState(false);
+  const [compareName, setCompareName] = useState(null);
+  const [compareRef, setCompareRef] = useState("Primary");
   const [mobileTab, setMobileTab] = useState("chart");
 
+  // Experimental data fitting (pressures stored in mmHg once parsed)
+  const [fitText, setFitText] = useState("");
+  const [fitUnit, setFitUnit] = useState("Pa");
+  const [fitTUnit, setFitTUnit] = useState("°C");
+  const [fitMethod, setFitMethod] = useState("auto");
+  const fitPoints = useMemo(() => parseTPData(fitText, fitUnit, fitTUnit), [fitText, fitUnit, fitTUnit]);
+  const fit = useMemo(() => fitPoints.length ? fitVaporPressure(fitPoints, fitMethod) : null, [fitPoints, fitMethod]);
+
+  // Ideal mixture: { name, amount } rows, amounts as typed
+  const [mixRows, setMixRows] = useState([]);
+  const [mixBasis, setMixBasis] = useState("mole");
+  const mixture = useMemo(() => mixtureComposition(mixRows, library, mixBasis), [mixRows, library, mixBasis]);
+
+  // Evaporation/TGA inputs: sample inputs as typed, temperatures in °C and the
+  // rate in °C/min (converted at the panel's inputs)
+  const [tgaInputs, setTgaInputs] = useState({
+    kind: "ramp", area: "1", mass: "10", alpha: "1", T0: 25, T1: 300, rate: 10, T: 100, duration: "60",
+  });
+  const [tgaAxis, setTgaAxis] = useState("T");
+
+  // Separation planner: target, impurities and minimum target pressure (mmHg)
+  const [sepTarget, setSepTarget] = useState("Phenanthrene");
+  const [sepImpurities, setSepImpurities] = useState(["Anthracene"]);
+  const [sepThreshold, setSepThreshold] = useState(0);
+
+  // Organic aerosol loading (µg/m³) for the partitioning panel, as typed
+  const [coaText, setCoaText] = useState("10");
+  const coa = parseFloat(coaText) > 0 ? parseFloat(coaText) : null;
+  const vbs = useMemo(
+    () => volatilityBasisSet(pahNames.filter(n => selected.has(n)).map(n => [n, library[n]]), tempC, coa ?? 1),
+    [library, selected, tempC, coa]
+  );
+
+  const selectCompounds = useCallback((names, on) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      names.forEach(name => (on ? next.add(name) : next.delete(name)));
+      return next;
+    });
+  }, []);
+
   const togglePAH = useCallback((name) => {
     setSelected(prev => {
       const next = new Set(prev);
@@ -183,67 +1384,582 @@ export default function App() {
     });
   }, []);
 
+  // ── Library editing ───────────────────────────────────────────────────────
+
+  const startNewCompound = () => {
+    const color = unusedColor(library);
+    setEditing({
+      originalName: null,
+      name: uniqueName("New compound", library),
+      entry: { eq: antoine(7.0, 2000, 190), Tm: 100, Tb: 300, MW: 200, color },
+    });
+  };
+
+  const duplicateCompound = (name) => {
+    const { builtin, ...entry } = library[name];
+    setEditing({ originalName: null, name: uniqueName(`${name} (copy)`, library), entry });
+  };
+
+  const saveCompound = (name, entry) => {
+    const { originalName } = editing;
+    setCustomCompounds(prev => {
+      const next = { ...prev };
+      if (originalName) delete next[originalName];
+      next[name] = entry;
+      return next;
+    });
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (originalName === null || next.delete(originalName)) next.add(name);
+      return next;
+    });
+    setEditing(null);
+  };
+
+  const deleteCompound = (name) => {
+    if (!window.confirm(`Delete "${name}" from the library?`)) return;
+    setCustomCompounds(prev => {
+      const { [name]: _, ...rest } = prev;
+      return rest;
+    });
+    setSelected(prev => { const next = new Set(prev); next.delete(name); return next; });
+    if (editing?.originalName === name) setEditing(null);
+  };
+
+  // Hand the fitted equation to the compound editor; Tm and MW aren't known
+  // from T–P data, so the user fills them in before saving
+  const saveFit = () => {
+    const eq = Object.fromEntries(Object.entries(fit.eq).map(([k, v]) => [k, typeof v === "number" ? Number(v.toPrecision(6)) : v]));
+    const Tb = equationInverse(eq, 760);
+    const cov = fit.cov.map(row => row.map(v => Number(v.toPrecision(6))));
+    const color = unusedColor(library);
+    setEditing({
+      originalName: null,
+      name: uniqueName("Fitted compound", library),
+      entry: {
+        eq, unc: { cov }, Tb: Tb !== null ? Number(Tb.toFixed(1)) : undefined,
+        Tlo: fit.Tlo, Thi: fit.Thi, color,
+        source: `Fit to ${fit.n} measured points (${new Date().toISOString().slice(0, 10)})`,
+      },
+    });
+    setLibraryOpen(true);
+    setMobileTab("compounds");
+  };
+
+  const resetLibrary = () => {
+    if (!window.confirm("Remove all user compounds and restore the built-in library?")) return;
+    setCustomCompounds({});
+    setSelected(prev => new Set([...prev].filter(n => BUILTIN_LIBRARY[n])));
+    setEditing(null);
+    setLibraryNotice(null);
+  };
+
+  const importLibrary = async (file) => {
+    if (!file) return;
+    try {
+      const { compounds, skipped } = parseLibraryFile(file.name, await file.text());
+      setCustomCompounds(prev => ({ ...prev, ...compounds }));
+      const n = Object.keys(compounds).length;
+      setLibraryNotice(`Imported ${n} compound${n === 1 ? "" : "s"}${skipped ? `, skipped ${skipped} (built-in or invalid)` : ""}`);
+    } catch (err) {
+      setLibraryNotice(`Import failed: ${err.message}`);
+    }
+  };
+
   // Bound change handlers — clamp slider value to stay in range
   const handleTMin = (v) => { const c = Math.min(v, tMax - 1); setTMin(c); if (tempC < c) setTempC(c); };
   const handleTMax = (v) => { const c = Math.max(v, tMin + 1); setTMax(c); if (tempC > c) setTempC(c); };
   const handlePRefMin = (v) => { const c = Math.max(0.001, Math.min(v, pRefMax - 0.001)); setPRefMin(c); if (pressureRef < c) setPressureRef(c); };
   const handlePRefMax = (v) => { const c = Math.max(pRefMin + 0.001, v); setPRefMax(c); if (pressureRef > c) setPressureRef(c); };
 
+  // ── Chart interaction ─────────────────────────────────────────────────────
+  // "cursor" drags move the T and P_ref lines (grab one to move only it),
+  // "zoom" drags a box that becomes the new axis range, "pan" shifts the axes.
+  // The pressure axis is bounded by the y-axis settings in the P(T) view and by
+  // the P_ref range in the isobaric view. The drag is tracked on window, so it
+  // survives the chart re-rendering.
+
+  const [chartMode, setChartMode] = useState("cursor");
+  const [zoomBox, setZoomBox] = useState(null);   // chart coordinates while dragging
+
+  const setTRange = (t0, t1) => {
+    setTMin(t0); setTMax(t1);
+    setTempC(t => Math.max(t0, Math.min(t, t1)));
+  };
+  const setPRange = (p0, p1) => {
+    if (!isobaric) { setPAxisMin(p0); setPAxisMax(p1); return; }
+    setPRefMin(p0); setPRefMax(p1);
+    setPressureRef(p => Math.max(p0, Math.min(p, p1)));
+  };
+
+  const defaults = VIEW_DEFAULTS;
+  const zoomed = tMin !== defaults.tMin || tMax !== defaults.tMax || (isobaric
+    ? pRefMin !== defaults.pRefMin || pRefMax !== defaults.pRefMax
+    : pAxisMin !== defaults.pAxisMin || pAxisMax !== defaults.pAxisMax);
+  const resetZoom = () => {
+    setTRange(defaults.tMin, defaults.tMax);
+    if (isobaric) setPRange(defaults.pRefMin, defaults.pRefMax);
+    else setPRange(defaults.pAxisMin, defaults.pAxisMax);
+  };
+
+  const startChartDrag = (e, scale) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const box = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+    // Pointer position in pixels, and as display-unit T and P
+    const px = (ev) => ({ x: ev.clientX - box.left, y: ev.clientY - box.top });
+    const at = (ev) => {
+      const x = scale.x.invert(px(ev).x), y = scale.y.invert(px(ev).y);
+      return isobaric ? { T: y, P: x, x, y } : { T: x, P: y, x, y };
+    };
+    const start = at(e);
+    const [sx, sy] = [px(e).x, px(e).y];
+    const [tLo, tHi] = (isobaric ? scale.y : scale.x).domain();
+    const [pLo, pHi] = (isobaric ? scale.x : scale.y).domain();
+    const pLog = isobaric || logScale;
+    let move, end;
+
+    if (chartMode === "zoom") {
+      move = (p) => setZoomBox({ x1: start.x, x2: p.x, y1: start.y, y2: p.y });
+      end = (p, ev) => {
+        setZoomBox(null);
+        const [ta, tb] = [start.T, p.T].map(fromT).sort((a, b) => a - b);
+        const [pa, pb] = [start.P, p.P].map(fromP).sort((a, b) => a - b);
+        // Anything smaller than a few pixels is a stray click, not a box
+        if (Math.abs(px(ev).x - sx) < 6 || Math.abs(px(ev).y - sy) < 6 || tb - ta < 1 || !(pa > 0)) return;
+        setTRange(roundSig(ta), roundSig(tb));
+        setPRange(roundSig(pa, 3), roundSig(pb, 3));
+      };
+    } else if (chartMode === "pan") {
+      move = (p) => {
+        const dT = start.T - p.T;
+        const [pa, pb] = pLog ? [pLo * start.P / p.P, pHi * start.P / p.P] : [pLo + start.P - p.P, pHi + start.P - p.P];
+        if (!(pa > 0)) return;
+        setTRange(roundSig(fromT(tLo + dT)), roundSig(fromT(tHi + dT)));
+        setPRange(roundSig(fromP(pa), 3), roundSig(fromP(pb), 3));
+      };
+    } else {
+      const moveT = (p) => setTempC(Math.max(tMin, Math.min(fromT(p.T), tMax)));
+      const moveP = (p) => { if (p.P > 0) setPressureRef(Math.max(pRefMin, Math.min(fromP(p.P), pRefMax))); };
+      const [tPx, pPx] = isobaric
+        ? [Math.abs(scale.y(toT(tempC)) - sy), Math.abs(scale.x(toP(pressureRef)) - sx)]
+        : [Math.abs(scale.x(toT(tempC)) - sx), Math.abs(scale.y(toP(pressureRef)) - sy)];
+      const [nearT, nearP] = [tPx < 8, pPx < 8];
+      move = nearT && !nearP ? moveT : nearP && !nearT ? moveP : (p) => { moveT(p); moveP(p); };
+      move(start);
+    }
+
+    const onMove = (ev) => move(at(ev));
+    const onUp = (ev) => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      window.removeEventListener("pointercancel", onUp);
+      end?.(at(ev), ev);
+    };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+    window.addEventListener("pointercancel", onUp);
+  };
+
   const chartData = useMemo(() => {
-    const range = tMax - tMin;
-    const step = range > 200 ? 5 : range > 50 ? 2 : 1;
+    const step = sampleStep(tMax - tMin);
     const points = [];
     for (let T = tMin; T <= tMax; T += step) {
-      const pt = { T };
+      const pt = { T: toT(T) };
       pahNames.forEach(name => {
         if (!selected.has(name)) return;
-        const { A, B, C } = PAH_DATA[name];
-        pt[name] = mmhgTo[pUnit](antoineVP(A, B, C, T));
+        const c = library[name];
+        const v = toP(saturationVP(c, T));
+        // In-range values go on the solid series; extrapolated ones on the dashed
+        // series, which also takes the last in-range sample so the two join up
+        const ext = isExtrapolated(c, T);
+        if (!ext) pt[name] = v;
+        if (ext || isExtrapolated(c, T - step) || isExtrapolated(c, T + step)) pt[name + EXTRAP_SUFFIX] = v;
+        const band = vpInterval(c, T);
+        if (band) pt[name + BAND_SUFFIX] = band.map(toP);
+        if (showSets) parameterSets(c).slice(1).forEach(set => { pt[setKey(name, set.label)] = toP(saturationVP(set.c, T)); });
       });
+      if (fit?.eq) pt[FIT_KEY] = toP(equationVP(fit.eq, T));
+      if (mixture.length) {
+        pt[MIX_BUBBLE_KEY] = toP(bubblePressure(mixture, T));
+        pt[MIX_DEW_KEY] = toP(dewPressure(mixture, T));
+      }
       points.push(pt);
     }
     return points;
-  }, [selected, pUnit, tMin, tMax]);
+  }, [library, selected, pUnit, tUnit, tMin, tMax, fit, mixture, showSets]);
 
+  // The same series for the isobaric view: the temperature at which each curve
+  // reaches P, on a log-spaced pressure grid over the P_ref range. Only built
+  // while that view is shown, since every point is an inversion.
+  const isobaricData = useMemo(() => {
+    if (!isobaric) return [];
+    const n = 120;
+    const pressures = Array.from({ length: n + 1 }, (_, i) => pRefMin * (pRefMax / pRefMin) ** (i / n));
+    const points = pressures.map(P => ({ P: toP(P) }));
+    pahNames.filter(name => selected.has(name)).forEach(name => {
+      const c = library[name];
+      const Ts = pressures.map(P => transitionPoint(c, P).T);
+      const ext = Ts.map(T => T !== null && isExtrapolated(c, T));
+      Ts.forEach((T, i) => {
+        if (T === null) return;
+        const pt = points[i];
+        if (!ext[i]) pt[name] = toT(T);
+        if (ext[i] || ext[i - 1] || ext[i + 1]) pt[name + EXTRAP_SUFFIX] = toT(T);
+        const half = transitionHalfWidth(c, T);
+        if (half !== null) pt[name + BAND_SUFFIX] = [toT(T - half), toT(T + half)];
+        if (showSets) parameterSets(c).slice(1).forEach(set => {
+          const Tset = transitionPoint(set.c, pressures[i]).T;
+          if (Tset !== null) pt[setKey(name, set.label)] = toT(Tset);
+        });
+      });
+    });
+    pressures.forEach((P, i) => {
+      const pt = points[i];
+      const Tfit = fit?.eq ? equationInverse(fit.eq, P) : null;
+      if (Tfit !== null) pt[FIT_KEY] = toT(Tfit);
+      if (mixture.length) {
+        const [bubble, dew] = [bubbleTemperature(mixture, P), dewTemperature(mixture, P)];
+        if (bubble !== null) pt[MIX_BUBBLE_KEY] = toT(bubble);
+        if (dew !== null) pt[MIX_DEW_KEY] = toT(dew);
+      }
+    });
+    return points;
+  }, [isobaric, library, selected, pUnit, tUnit, pRefMin, pRefMax, fit, mixture, showSets]);
+
+  const measuredPoints = useMemo(
+    () => fitPoints.map(pt => (isobaric
+      ? { P: toP(pt.P), [MEASURED_KEY]: toT(pt.T) }
+      : { T: toT(pt.T), [MEASURED_KEY]: toP(pt.P) })),
+    [fitPoints, pUnit, tUnit, isobaric]
+  );
+
+  // Curves for the derived-quantity chart: ln P against 1000/T (K) for the
+  // Clausius–Clapeyron view, ΔH (kJ/mol) or dP/dT in display units against T
+  const derivedData = useMemo(() => {
+    const step = sampleStep(tMax - tMin);
+    const perDegree = TEMPERATURE_UNITS[tUnit].scale;
+    const names = pahNames.filter(n => selected.has(n));
+    const points = [];
+    for (let T = tMin; T <= tMax; T += step) {
+      if (T + KELVIN <= 0) continue;
+      const pt = { T: toT(T), invT: 1000 / (T + KELVIN) };
+      names.forEach(name => {
+        const c = library[name];
+        const v = derivedView === "clausius" ? Math.log(toP(saturationVP(c, T)))
+          : derivedView === "enthalpy" ? transitionEnthalpy(c, T)
+          : toP(saturationSlope(c, T)) / perDegree;
+        if (Number.isFinite(v)) pt[name] = v;
+      });
+      points.push(pt);
+    }
+    return points;
+  }, [library, selected, derivedView, pUnit, tUnit, tMin, tMax]);
+
+  const tga = useMemo(() => {
+    const names = pahNames.filter(n => selected.has(n));
+    if (!names.length) return null;
+    const num = (k) => parseFloat(tgaInputs[k]);
+    const [area, mass, alpha] = [num("area"), num("mass"), num("alpha")];
+    if (!(area > 0 && mass > 0 && alpha > 0 && alpha <= 1)) return { error: "Area and mass must be positive and 0 < α ≤ 1" };
+    const program = tgaInputs.kind === "ramp"
+      ? { kind: "ramp", T0: tgaInputs.T0, T1: tgaInputs.T1, rate: tgaInputs.rate }
+      : { kind: "isothermal", T: tgaInputs.T, duration: num("duration") };
+    const duration = programDuration(program);
+    if (!(duration > 0 && Number.isFinite(duration) && Number.isFinite(programTemperature(program, 0)))) {
+      return { error: tgaInputs.kind === "ramp" ? "The ramp needs a positive rate up to a higher end temperature" : "Enter a temperature and a positive duration" };
+    }
+    const sim = simulateTGA(names.map(n => [n, library[n]]), program, { area: area * 1e-4, mass: mass * 1e-6, alpha });
+    return { ...sim, points: sim.points.map(pt => ({ ...pt, T: toT(pt.T) })) };
+  }, [library, selected, tgaInputs, tUnit]);
+
+  const separation = useMemo(() => {
+    const impurities = sepImpurities.filter(n => library[n] && n !== sepTarget);
+    if (!library[sepTarget] || !impurities.length) return null;
+    return separationMap(library[sepTarget], impurities.map(n => [n, library[n]]), {
+      tMin, tMax, pMin: pRefMin, pMax: pRefMax, threshold: sepThreshold,
+    });
+  }, [library, sepTarget, sepImpurities, sepThreshold, tMin, tMax, pRefMin, pRefMax]);
+
+  // Compound and sets for the comparison panel; falls back to the first
+  // selected (then any) compound that has alternative sets
+  const withSets = pahNames.filter(n => library[n].sets?.length);
+  const compared = library[compareName]?.sets?.length ? compareName
+    : withSets.find(n => selected.has(n)) ?? withSets[0] ?? null;
+  const comparedSets = compared ? parameterSets(library[compared]) : [];
+  const referenceSet = comparedSets.find(set => set.label === compareRef) ?? comparedSets[0];
+  const comparedSpread = compared ? setSpread(library[compared], tempC) : null;
+
+  // Percent difference of each set from the reference set across the range
+  const deviationData = useMemo(() => {
+    if (!compared) return [];
+    const step = sampleStep(tMax - tMin);
+    const points = [];
+    for (let T = tMin; T <= tMax; T += step) {
+      const Pref = saturationVP(referenceSet.c, T);
+      const pt = { T: toT(T) };
+      comparedSets.forEach(set => {
+        if (set === referenceSet) return;
+        const v = 100 * (saturationVP(set.c, T) / Pref - 1);
+        if (Number.isFinite(v)) pt[set.label] = v;
+      });
+      points.push(pt);
+    }
+    return points;
+  }, [library, compared, referenceSet?.label, tMin, tMax, tUnit]);
+
+  // Table rows in display units
   const tableData = useMemo(() => {
     return pahNames.filter(n => selected.has(n)).map((name) => {
-      const { A, B, C } = PAH_DATA[name];
-      const vp = mmhgTo[pUnit](antoineVP(A, B, C, tempC));
-      const bp = boilingPoint(A, B, C, pressureRef);
-      return { name, vp, bp, color: COLORS[pahNames.indexOf(name) % COLORS.length] };
+      const c = library[name];
+      const vp = toP(saturationVP(c, tempC));
+      const { T: bp, sublimation } = transitionPoint(c, pressureRef);
+      const tp = triplePoint(c);
+      const bpHalf = transitionHalfWidth(c, bp);
+      return {
+        name, vp, bp: bp !== null ? toT(bp) : null, sublimation, color: c.color, source: c.source,
+        vpBand: vpInterval(c, tempC)?.map(toP) ?? null,
+        bpHalf: bpHalf !== null ? bpHalf * TEMPERATURE_UNITS[tUnit].scale : null,
+        phase: phaseAt(c, tempC, pressureRef),
+        triple: { T: toT(tp.T), P: toP(tp.P) },
+        dH: transitionEnthalpy(c, tempC), dHsub: tempC < c.Tm,
+        spread: setSpread(c, tempC),
+        dPdT: toP(saturationSlope(c, tempC)) / TEMPERATURE_UNITS[tUnit].scale,
+        range: "Tlo" in c ? [toT(c.Tlo), toT(c.Thi)] : null, rangeBasis: rangeBasis(c),
+        vpExtrap: isExtrapolated(c, tempC),
+        bpExtrap: bp !== null && isExtrapolated(c, bp),
+        MW: c.MW, cas: c.cas, formula: c.formula, rings: c.rings, epa16: Boolean(c.epa16),
+      };
     });
-  }, [selected, tempC, pressureRef, pUnit]);
+  }, [library, selected, tempC, pressureRef, pUnit, tUnit]);
 
-  const refLineValue = mmhgTo[pUnit](pressureRef);
+  // Table rows in the chosen column order; missing values (no boiling point
+  // at P_ref) sort last either way
+  const sortedTable = useMemo(() => {
+    if (!tableSort) return tableData;
+    const { key, dir } = tableSort;
+    return [...tableData].sort((a, b) => (a[key] === null) - (b[key] === null) || dir * (a[key] - b[key]));
+  }, [tableData, tableSort]);
+
+  const refLineValue = toP(pressureRef);
+
+  const mixResult = useMemo(() => {
+    if (!mixture.length) return null;
+    const bubbleT = bubbleTemperature(mixture, pressureRef);
+    const dewT = dewTemperature(mixture, pressureRef);
+    return {
+      comps: vaporComposition(mixture, tempC).map(m => ({ ...m, Psat: toP(m.Psat), partial: toP(m.partial) })),
+      Pbubble: toP(bubblePressure(mixture, tempC)),
+      bubbleT: bubbleT !== null ? toT(bubbleT) : null,
+      dewT: dewT !== null ? toT(dewT) : null,
+    };
+  }, [mixture, tempC, pressureRef, pUnit, tUnit]);
 
   const yDomain = useMemo(() => {
-    const lo = mmhgTo[pUnit](pAxisMin);
-    const hi = pAxisMax !== null ? mmhgTo[pUnit](pAxisMax) : "auto";
+    const lo = toP(pAxisMin);
+    const hi = pAxisMax !== null ? toP(pAxisMax) : "auto";
     return [lo, hi];
   }, [pAxisMin, pAxisMax, pUnit]);
 
+  // ── Export ────────────────────────────────────────────────────────────────
+
+  const chartSeries = [
+    ...pahNames.filter(n => selected.has(n)),
+    ...(showSets ? pahNames.filter(n => selected.has(n)).flatMap(n => (library[n].sets ?? []).map(set => setKey(n, set.label))) : []),
+    ...(mixture.length ? [MIX_BUBBLE_KEY, MIX_DEW_KEY] : []),
+    ...(fit?.eq ? [FIT_KEY] : []),
+  ];
+
+  // Curves as plotted, in the current display units; the solid and
+  // extrapolated series of a compound are merged back into one column
+  // Curves with a 95 % band get low/high columns after their own. The
+  // isobaric view exports temperatures against pressure instead.
+  const chartExport = () => {
+    const banded = chartSeries.filter(k => library[k]?.unc);
+    const [x, xUnit, yUnit] = isobaric ? ["P", pUnit, tUnit] : ["T", tUnit, pUnit];
+    return {
+      headers: [`${x} (${xUnit})`, ...chartSeries.flatMap(k => [
+        `${k} (${yUnit})`, ...(banded.includes(k) ? [`${k} 95% low (${yUnit})`, `${k} 95% high (${yUnit})`] : []),
+      ])],
+      rows: (isobaric ? isobaricData : chartData).map(pt => [exportNumber(pt[x]), ...chartSeries.flatMap(k => [
+        exportNumber(pt[k] ?? pt[k + EXTRAP_SUFFIX]),
+        ...(banded.includes(k) ? [exportNumber(pt[k + BAND_SUFFIX]?.[0]), exportNumber(pt[k + BAND_SUFFIX]?.[1])] : []),
+      ])]),
+    };
+  };
+
+  const tableExport = () => ({
+    headers: [
+      "Compound", `VP at ${fmtT(tempC)} (${pUnit})`, `VP 95% low (${pUnit})`, `VP 95% high (${pUnit})`, "VP extrapolated",
+      `BP/SP at ${fmtP(pressureRef)} (${tUnit})`, `BP/SP ± 95% (${tUnit})`, "Transition", "BP/SP extrapolated", "Phase",
+      `Triple point T (${tUnit})`, `Triple point P (${pUnit})`,
+      `ΔH at ${fmtT(tempC)} (kJ/mol)`, "ΔH kind", `dP/dT at ${fmtT(tempC)} (${pUnit}/${tUnit})`,
+      "Literature sets", "Set spread max/min", "Set spread σ log10 P",
+      `Fit range from (${tUnit})`, `Fit range to (${tUnit})`, "Fit range basis", "Source",
+      "MW (g/mol)", "CAS", "Formula", "Rings", "EPA-16",
+    ],
+    rows: sortedTable.map(r => [
+      r.name, exportNumber(r.vp), exportNumber(r.vpBand?.[0]), exportNumber(r.vpBand?.[1]), r.vpExtrap,
+      exportNumber(r.bp), exportNumber(r.bpHalf), r.bp === null ? "" : r.sublimation ? "sublimation" : "boiling",
+      r.bpExtrap, r.phase, r.triple.T, exportNumber(r.triple.P),
+      exportNumber(r.dH), r.dHsub ? "sublimation" : "vaporization", exportNumber(r.dPdT),
+      r.spread?.n ?? 1, exportNumber(r.spread?.factor), exportNumber(r.spread?.sdLog10),
+      r.range?.[0] ?? "", r.range?.[1] ?? "", r.rangeBasis ?? "", r.source ?? "",
+      r.MW, r.cas ?? "", r.formula ?? "", r.rings ?? "", r.epa16,
+    ]),
+  });
+
+  // Chart data and figure exports share a name that follows the view
+  const chartFileName = isobaric ? "pah-boiling-temperature-curves" : "pah-vapor-pressure-curves";
+
+  const exportData = (which, format) => {
+    const data = which === "chart" ? chartExport() : tableExport();
+    const name = which === "chart" ? chartFileName : `pah-vapor-pressure-table-${toT(tempC)}${tUnit.replace("°", "")}`;
+    if (format === "csv") downloadFile(`${name}.csv`, tableToCSV(data), "text/csv");
+    else downloadFile(`${name}.json`, tableToJSON(data, {
+      temperatureUnit: tUnit, pressureUnit: pUnit,
+      ...(which === "table" ? { temperature: toT(tempC), referencePressure: exportNumber(toP(pressureRef)) } : {}),
+    }), "application/json");
+  };
+
+  const figureLegend = () => [
+    ...pahNames.filter(n => selected.has(n)).map(n => ({ label: n, color: library[n].color })),
+    ...(mixture.length ? [
+      { label: "Mixture bubble P", color: MIX_COLOR },
+      { label: "Mixture dew P", color: MIX_COLOR, dash: "6 3" },
+    ] : []),
+    ...(fit?.eq ? [{ label: `Fit (${EQUATIONS[fit.form].label}, n = ${fit.n})`, color: "#ffffff", dash: "2 3" }] : []),
+    { label: `T = ${fmtT(tempC)}`, color: "#00f5d4", dash: "4 4" },
+    { label: `P_ref = ${fmtP(pressureRef)}`, color: "#fee440", dash: "4 4" },
+    { label: "dashed/faded: outside fitted or assumed range (extrapolated) · ○ triple point" },
+    ...(pahNames.some(n => selected.has(n) && library[n].unc) ? [{ label: "shaded: 95 % band from coefficient uncertainties" }] : []),
+  ];
+
+  // The figure is built from the chart rendered next to the clicked button —
+  // desktop and mobile layouts each have their own
+  const exportFigure = async (e, format) => {
+    const svg = e.currentTarget.closest("[data-export-chart]")?.querySelector("svg.recharts-surface");
+    if (!svg) return;
+    const figure = buildFigureSVG(svg, { title: isobaric ? "PAH BOILING TEMPERATURE" : "PAH VAPOR PRESSURE", legend: figureLegend() });
+    if (format === "svg") {
+      downloadFile(`${chartFileName}.svg`, serializeSVG(figure), "image/svg+xml");
+      return;
+    }
+    try {
+      downloadBlob(`${chartFileName}.png`, await svgToPNG(figure));
+    } catch (err) {
+      window.alert(`PNG export failed: ${err.message}`);
+    }
+  };
+
   // ── Panels ────────────────────────────────────────────────────────────────
 
-  const CompoundPanel = () => (
-    <Panel>
-      <Label>Select Compounds</Label>
-      <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
-        {pahNames.map((name, i) => {
-          const active = selected.has(name);
-          const color = COLORS[i % COLORS.length];
-          return (
-            <button key={name} onClick={() => togglePAH(name)} style={{
-              border: `1.5px solid ${color}`, borderRadius: 5, padding: "5px 10px",
-              fontSize: 11, fontFamily: "'Courier Prime', monospace",
-              background: active ? color : "transparent", color: active ? "#111" : color,
-              cursor: "pointer", transition: "all 0.15s", whiteSpace: "nowrap",
-            }}>
-              {name}
-            </button>
-          );
-        })}
-      </div>
-    </Panel>
+  // Panels with text inputs are top-level components, built here as elements
+  // and placed directly in the layout. The closures below them (SettingsPanel,
+  // ChartPanel, …) are new component types on every render, so React remounts
+  // them and an input inside would lose focus on each keystroke.
+  const mixturePanel = (
+    <MixturePanel
+      rows={mixRows} onRowsChange={setMixRows}
+      basis={mixBasis} onBasisChange={setMixBasis}
+      library={library} result={mixResult}
+      tempLabel={fmtT(tempC)} pRefLabel={fmtP(pressureRef)} pUnit={pUnit} tUnit={tUnit}
+    />
+  );
+
+  const fitPanel = (
+    <FitPanel
+      text={fitText} onTextChange={setFitText}
+      unit={fitUnit} onUnitChange={setFitUnit}
+      tUnit={fitTUnit} onTUnitChange={setFitTUnit}
+      method={fitMethod} onMethodChange={setFitMethod}
+      points={fitPoints} fit={fit} onSave={saveFit}
+    />
+  );
+
+  const partitioningPanel = (
+    <PartitioningPanel loading={coaText} onLoadingChange={setCoaText} vbs={vbs} coa={coa} tempLabel={fmtT(tempC)} />
+  );
+
+  const kineticsPanel = (
+    <KineticsPanel inputs={tgaInputs} onInputsChange={setTgaInputs} axis={tgaAxis} onAxisChange={setTgaAxis} sim={tga} toT={toT} fromT={fromT} tUnit={tUnit} />
+  );
+
+  const separationPanel = (
+    <SeparationPanel
+      library={library}
+      target={sepTarget} onTargetChange={setSepTarget}
+      impurities={sepImpurities} onImpuritiesChange={setSepImpurities}
+      threshold={sepThreshold} onThresholdChange={setSepThreshold}
+      map={separation} toT={toT} toP={toP} fromP={fromP} tUnit={tUnit} pUnit={pUnit}
+    />
+  );
+
+  const sessionsPanel = (
+    <SessionsPanel
+      sessions={sessions} currentQuery={viewQuery}
+      onSave={saveSession} onLoad={s => applyView(decodeView(s.query))}
+      onRename={renameSession} onDelete={deleteSession}
+    />
+  );
+
+  const compoundPanel = (
+    <CompoundPanel
+      library={library} names={pahNames} selected={selected}
+      onToggle={togglePAH} onSelectMany={selectCompounds} tUnit={tUnit}
+      libraryOpen={libraryOpen} onLibraryToggle={() => { setLibraryOpen(o => !o); setEditing(null); }}
+    >
+      {libraryOpen && (
+        <div style={{ marginTop: 14, borderTop: "1px solid rgba(255,255,255,0.07)", paddingTop: 12 }}>
+          <Label>Compound Library</Label>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 10 }}>
+            <MiniButton onClick={startNewCompound} color="#00f5d4">+ new</MiniButton>
+            <label style={{ display: "inline-flex" }}>
+              <input type="file" accept=".json,.csv,application/json,text/csv" style={{ display: "none" }}
+                onChange={e => { importLibrary(e.target.files[0]); e.target.value = ""; }} />
+              <span style={{
+                border: "1px solid #333", color: "#666", borderRadius: 4, padding: "2px 8px",
+                fontSize: 10, fontFamily: "'Courier Prime', monospace", cursor: "pointer",
+              }}>import</span>
+            </label>
+            <MiniButton onClick={() => downloadFile("pah-library.json", libraryToJSON(library), "application/json")}>export json</MiniButton>
+            <MiniButton onClick={() => downloadFile("pah-library.csv", libraryToCSV(library), "text/csv")}>export csv</MiniButton>
+            <MiniButton onClick={resetLibrary} color="#f15bb5" disabled={!Object.keys(customCompounds).length}>reset to defaults</MiniButton>
+          </div>
+          {libraryNotice && <div style={{ fontSize: 10, color: "#888", marginBottom: 8 }}>{libraryNotice}</div>}
+
+          {editing && (
+            <CompoundEditor
+              key={editing.originalName ?? editing.name}
+              initialName={editing.name}
+              initial={editing.entry}
+              tUnit={tUnit}
+              isNameTaken={n => n !== editing.originalName && Boolean(library[n])}
+              onSave={saveCompound}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+
+          <div style={{ marginTop: 10, maxHeight: 260, overflowY: "auto" }}>
+            {pahNames.map(name => {
+              const { color, builtin } = library[name];
+              return (
+                <div key={name} style={{ display: "flex", alignItems: "center", gap: 6, padding: "3px 0", fontSize: 11 }}>
+                  <span style={{ color, flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>● {name}</span>
+                  {builtin
+                    ? <span title="Built-in entries are read-only" style={{ fontSize: 10, color: "#444" }}>built-in</span>
+                    : <>
+                        <MiniButton onClick={() => setEditing({ originalName: name, name, entry: library[name] })}>edit</MiniButton>
+                        <MiniButton onClick={() => deleteCompound(name)} color="#f15bb5">del</MiniButton>
+                      </>}
+                  <MiniButton onClick={() => duplicateCompound(name)}>dup</MiniButton>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </CompoundPanel>
   );
 
   const SettingsPanel = () => (
@@ -255,9 +1971,22 @@ export default function App() {
           padding: "6px 10px", width: "100%", fontFamily: "'Courier Prime', monospace",
           fontSize: 13, marginBottom: 14,
         }}>
-          {["Torr","mmHg","Pa","atm","bar"].map(u => <option key={u} value={u}>{u}</option>)}
+          {Object.keys(PRESSURE_UNITS).map(u => <option key={u} value={u}>{u}</option>)}
         </select>
 
+        <Label>Temperature Units</Label>
+        <div style={{ display: "flex", gap: 8, marginBottom: 14 }}>
+          {Object.keys(TEMPERATURE_UNITS).map(u => (
+            <button key={u} onClick={() => setTUnit(u)} style={{
+              flex: 1,
+              background: u === tUnit ? "#00f5d4" : "transparent",
+              color: u === tUnit ? "#111" : "#00f5d4",
+              border: "1px solid #00f5d4", borderRadius: 5, padding: "6px 0",
+              cursor: "pointer", fontSize: 12, fontFamily: "'Courier Prime', monospace",
+            }}>{u}</button>
+          ))}
+        </div>
+
         <Label>Y-Axis Scale</Label>
         <div style={{ display: "flex", gap: 8, marginBottom: 14 }}>
           {["log", "linear"].map(s => (
@@ -276,8 +2005,8 @@ export default function App() {
           <div style={{ flex: 1 }}>
             <div style={{ fontSize: 9, color: "#555", marginBottom: 4, fontFamily: "'Space Mono',monospace", letterSpacing: "0.5px" }}>MIN</div>
             <BoundInput
-              value={Number(pAxisMin.toPrecision(3))}
-              onChange={v => setPAxisMin(Math.max(0.0001, v))}
+              value={roundSig(toP(pAxisMin), 3)}
+              onChange={v => setPAxisMin(Math.max(0.0001, fromP(v)))}
               color="#fee440"
             />
           </div>
@@ -285,8 +2014,8 @@ export default function App() {
           <div style={{ flex: 1 }}>
             <div style={{ fontSize: 9, color: "#555", marginBottom: 4, fontFamily: "'Space Mono',monospace", letterSpacing: "0.5px" }}>MAX (auto if blank)</div>
             <BoundInput
-              value={pAxisMax !== null ? Number(pAxisMax.toPrecision(3)) : "auto"}
-              onChange={v => setPAxisMax(isNaN(v) ? null : v)}
+              value={pAxisMax !== null ? roundSig(toP(pAxisMax), 3) : "auto"}
+              onChange={v => setPAxisMax(isNaN(v) ? null : fromP(v))}
               color="#fee440"
             />
           </div>
@@ -296,71 +2025,159 @@ export default function App() {
       <Panel>
         <EditableSlider
           label={`Reference Pressure (${pUnit})`}
-          badge={<span>{pressureRef.toFixed(2)} <span style={{ fontSize: 13, color: "#666" }}>{pUnit}</span></span>}
-          value={pressureRef}
-          onChange={v => setPressureRef(Math.max(pRefMin, Math.min(v, pRefMax)))}
-          min={pRefMin}
-          max={pRefMax}
-          step={Math.max(0.001, (pRefMax - pRefMin) / 2000)}
-          onMinChange={handlePRefMin}
-          onMaxChange={handlePRefMax}
+          badge={<span>{roundSig(toP(pressureRef))} <span style={{ fontSize: 13, color: "#666" }}>{pUnit}</span></span>}
+          value={toP(pressureRef)}
+          onChange={v => setPressureRef(Math.max(pRefMin, Math.min(fromP(v), pRefMax)))}
+          min={roundSig(toP(pRefMin))}
+          max={roundSig(toP(pRefMax))}
+          step={toP(Math.max(0.001, (pRefMax - pRefMin) / 2000))}
+          onMinChange={v => handlePRefMin(fromP(v))}
+          onMaxChange={v => handlePRefMax(fromP(v))}
           accentColor="#fee440"
         />
       </Panel>
     </>
   );
 
+  // Chart coordinates of a (T, P) point in either chart view
+  const chartPoint = (T, P) => (isobaric ? { x: P, y: T } : { x: T, y: P });
+
   const ChartPanel = () => (
     <>
       <Panel style={{ marginBottom: 12 }}>
         <EditableSlider
           label="Cursor Temperature"
-          badge={<span>{tempC}°C</span>}
-          value={tempC}
-          onChange={v => setTempC(Math.max(tMin, Math.min(v, tMax)))}
-          min={tMin}
-          max={tMax}
+          badge={<span>{fmtT(tempC)}</span>}
+          value={toT(tempC)}
+          onChange={v => setTempC(Math.max(tMin, Math.min(fromT(v), tMax)))}
+          min={toT(tMin)}
+          max={toT(tMax)}
           step={1}
-          onMinChange={handleTMin}
-          onMaxChange={handleTMax}
+          onMinChange={v => handleTMin(fromT(v))}
+          onMaxChange={v => handleTMax(fromT(v))}
           accentColor="#00f5d4"
         />
       </Panel>
 
-      <Panel style={{ padding: "14px 4px 10px 0", marginBottom: 12 }}>
-        <ResponsiveContainer width="100%" height={320}>
-          <LineChart data={chartData} margin={{ top: 6, right: 18, left: 8, bottom: 20 }}>
-            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
-            <XAxis dataKey="T" stroke="#444" tick={{ fill: "#666", fontSize: 10 }}
-              label={{ value: "Temperature (°C)", position: "insideBottom", offset: -10, fill: "#555", fontSize: 11 }} />
-            <YAxis stroke="#444" tick={{ fill: "#666", fontSize: 9 }}
-              scale={logScale ? "log" : "linear"}
-              domain={yDomain}
-              allowDataOverflow={true}
-              label={{ value: `Vapor Pressure (${pUnit})`, angle: -90, position: "insideLeft", fill: "#555", fontSize: 11 }} />
-            <Tooltip content={<CustomTooltip pUnit={pUnit} />} />
-            <ReferenceLine x={tempC} stroke="#00f5d4" strokeDasharray="4 4" strokeWidth={1.5} />
-            <ReferenceLine y={refLineValue} stroke="#fee440" strokeDasharray="4 4" strokeWidth={1.2} />
-            {pahNames.map((name, i) => {
-              if (!selected.has(name)) return null;
-              return (
-                <Line key={name} type="monotone" dataKey={name}
-                  stroke={COLORS[i % COLORS.length]}
-                  dot={false} strokeWidth={2} activeDot={{ r: 4 }} />
-              );
-            })}
-          </LineChart>
-        </ResponsiveContainer>
+      <Panel style={{ padding: "10px 4px 10px 0", marginBottom: 12 }}>
+        <div data-export-chart="">
+          <div style={{ display: "flex", gap: 4, justifyContent: "flex-end", alignItems: "center", padding: "0 10px 4px", flexWrap: "wrap" }}>
+            <span style={{ fontSize: 9, color: "#444", fontFamily: "'Space Mono',monospace", marginRight: 2 }}>VIEW</span>
+            <MiniButton onClick={() => setIsobaric(false)} title="Vapor pressure against temperature"
+              color={isobaric ? "#666" : "#00f5d4"}>P(T)</MiniButton>
+            <MiniButton onClick={() => setIsobaric(true)} title="Boiling / sublimation temperature against pressure"
+              color={isobaric ? "#00f5d4" : "#666"}>T(P)</MiniButton>
+            <span style={{ fontSize: 9, color: "#444", fontFamily: "'Space Mono',monospace", margin: "0 2px 0 10px" }}>DRAG</span>
+            {[["cursor", "Click or drag to move the T and P_ref cursors"], ["zoom", "Drag a box to zoom to"], ["pan", "Drag to pan the axes"]].map(([mode, title]) => (
+              <MiniButton key={mode} onClick={() => setChartMode(mode)} title={title}
+                color={chartMode === mode ? "#00f5d4" : "#666"}>{mode}</MiniButton>
+            ))}
+            <MiniButton onClick={resetZoom} disabled={!zoomed} title="Back to the default temperature and pressure axes">reset zoom</MiniButton>
+            <span style={{ fontSize: 9, color: "#444", fontFamily: "'Space Mono',monospace", margin: "0 2px 0 10px" }}>EXPORT</span>
+            <MiniButton onClick={() => exportData("chart", "csv")} title="Plotted curves as CSV">csv</MiniButton>
+            <MiniButton onClick={() => exportData("chart", "json")} title="Plotted curves as JSON">json</MiniButton>
+            <MiniButton onClick={e => exportFigure(e, "svg")} title="Figure as SVG">svg</MiniButton>
+            <MiniButton onClick={e => exportFigure(e, "png")} title="Figure as PNG (3× resolution)">png</MiniButton>
+          </div>
+          <ResponsiveContainer width="100%" height={320}>
+            <ComposedChart data={isobaric ? isobaricData : chartData} margin={{ top: 16, right: 18, left: 8, bottom: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+              {isobaric ? [
+                <XAxis key="x" dataKey="P" type="number" scale="log" domain={[toP(pRefMin), toP(pRefMax)]} allowDataOverflow={true}
+                  stroke="#444" tick={{ fill: "#666", fontSize: 10 }} tickFormatter={v => roundSig(v, 3)}
+                  label={{ value: `Pressure (${pUnit})`, position: "insideBottom", offset: -10, fill: "#555", fontSize: 11 }} />,
+                <YAxis key="y" type="number" domain={[toT(tMin), toT(tMax)]} allowDataOverflow={true}
+                  stroke="#444" tick={{ fill: "#666", fontSize: 9 }}
+                  label={{ value: `Boiling / Sublimation T (${tUnit})`, angle: -90, position: "insideLeft", fill: "#555", fontSize: 11 }} />,
+              ] : [
+                <XAxis key="x" dataKey="T" type="number" domain={[toT(tMin), toT(tMax)]} allowDataOverflow={true}
+                  stroke="#444" tick={{ fill: "#666", fontSize: 10 }}
+                  label={{ value: `Temperature (${tUnit})`, position: "insideBottom", offset: -10, fill: "#555", fontSize: 11 }} />,
+                <YAxis key="y" stroke="#444" tick={{ fill: "#666", fontSize: 9 }}
+                  scale={logScale ? "log" : "linear"}
+                  domain={yDomain}
+                  allowDataOverflow={true}
+                  label={{ value: `Vapor Pressure (${pUnit})`, angle: -90, position: "insideLeft", fill: "#555", fontSize: 11 }} />,
+              ]}
+              <Tooltip content={<CustomTooltip pUnit={pUnit} tUnit={tUnit} isobaric={isobaric} />} />
+              <ReferenceLine {...{ [isobaric ? "y" : "x"]: toT(tempC) }} stroke="#00f5d4" strokeDasharray="4 4" strokeWidth={1.5}
+                label={{ value: fmtT(tempC), position: isobaric ? "insideTopLeft" : "top", fill: "#00f5d4", fontSize: 10 }} />
+              <ReferenceLine {...{ [isobaric ? "x" : "y"]: refLineValue }} stroke="#fee440" strokeDasharray="4 4" strokeWidth={1.2}
+                label={{ value: `P_ref ${fmtP(pressureRef)}`, position: isobaric ? "top" : "insideBottomRight", fill: "#fee440", fontSize: 10 }} />
+              {pahNames.filter(n => selected.has(n) && library[n].unc).map(name => (
+                <Area key={name + BAND_SUFFIX} type="monotone" dataKey={name + BAND_SUFFIX} name={name}
+                  stroke="none" fill={library[name].color} fillOpacity={0.15} isAnimationActive={false}
+                  activeDot={false} legendType="none" />
+              ))}
+              {pahNames.filter(n => selected.has(n)).flatMap((name) => [
+                <Line key={name} type="monotone" dataKey={name} name={name}
+                  stroke={library[name].color}
+                  dot={false} strokeWidth={2} activeDot={{ r: 4 }} />,
+                <Line key={name + EXTRAP_SUFFIX} type="monotone" dataKey={name + EXTRAP_SUFFIX} name={name}
+                  stroke={library[name].color} strokeDasharray="5 4" strokeOpacity={0.45}
+                  dot={false} strokeWidth={1.5} activeDot={{ r: 3 }} />,
+              ])}
+              {mixture.length > 0 && [
+                <Line key={MIX_BUBBLE_KEY} type="monotone" dataKey={MIX_BUBBLE_KEY} name={MIX_BUBBLE_KEY}
+                  stroke={MIX_COLOR} dot={false} strokeWidth={2.5} activeDot={{ r: 4 }} />,
+                <Line key={MIX_DEW_KEY} type="monotone" dataKey={MIX_DEW_KEY} name={MIX_DEW_KEY}
+                  stroke={MIX_COLOR} strokeDasharray="6 3" dot={false} strokeWidth={1.5} activeDot={{ r: 3 }} />,
+              ]}
+              {mixResult && [mixResult.bubbleT, mixResult.dewT].filter(T => T !== null).map((T, i) => (
+                <ReferenceDot key={i ? "dew" : "bubble"} {...chartPoint(T, refLineValue)} r={4}
+                  fill={i ? "#080b14" : MIX_COLOR} stroke={MIX_COLOR} strokeWidth={1.5} ifOverflow="discard" />
+              ))}
+              {showSets && pahNames.filter(n => selected.has(n)).flatMap(name => (library[name].sets ?? []).map((set, i) => (
+                <Line key={setKey(name, set.label)} type="monotone" dataKey={setKey(name, set.label)} name={setKey(name, set.label)}
+                  stroke={library[name].color} strokeDasharray={SET_DASHES[i % SET_DASHES.length]} strokeOpacity={0.8}
+                  dot={false} strokeWidth={1.2} activeDot={{ r: 3 }} isAnimationActive={false} />
+              )))}
+              {fit?.eq && (
+                <Line key={FIT_KEY} type="monotone" dataKey={FIT_KEY} name={FIT_KEY} stroke="#ffffff"
+                  strokeDasharray="2 3" dot={false} strokeWidth={1.5} activeDot={{ r: 3 }} />
+              )}
+              {measuredPoints.length > 0 && (
+                <Line key={MEASURED_KEY} data={measuredPoints} dataKey={MEASURED_KEY} name={MEASURED_KEY}
+                  stroke="none" isAnimationActive={false} legendType="none"
+                  dot={{ r: 3, fill: "#ffffff", stroke: "#080b14", strokeWidth: 1 }} activeDot={{ r: 4 }} />
+              )}
+              {tableData.filter(r => r.triple.T >= toT(tMin) && r.triple.T <= toT(tMax)).map(r => (
+                <ReferenceDot key={r.name} {...chartPoint(r.triple.T, r.triple.P)} r={4}
+                  fill="#080b14" stroke={r.color} strokeWidth={1.5} ifOverflow="discard" />
+              ))}
+              {tableData.filter(r => r.bp !== null && r.bp >= toT(tMin) && r.bp <= toT(tMax)).map((r, i) => (
+                <ReferenceDot key={r.name + " @ P_ref"} {...chartPoint(r.bp, refLineValue)} r={3.5}
+                  fill={r.color} stroke="#080b14" strokeWidth={1} ifOverflow="discard"
+                  label={{ value: temperatureLabel(r.bp.toFixed(1), tUnit), position: i % 2 ? "bottom" : "top", fill: r.color, fontSize: 9 }} />
+              ))}
+              {zoomBox && (
+                <ReferenceArea {...zoomBox} stroke="#00f5d4" strokeOpacity={0.6} fill="#00f5d4" fillOpacity={0.08} ifOverflow="hidden" />
+              )}
+              <Customized component={<PlotPointerLayer onPointerDown={startChartDrag}
+                cursor={chartMode === "pan" ? "grab" : "crosshair"} />} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
         <div style={{ display: "flex", gap: 16, justifyContent: "center", flexWrap: "wrap", marginTop: 6, fontSize: 10, color: "#555", paddingLeft: 8 }}>
-          <span style={{ color: "#00f5d4" }}>── T = {tempC}°C</span>
-          <span style={{ color: "#fee440" }}>── P_ref = {pressureRef.toFixed(2)} {pUnit}</span>
+          <span style={{ color: "#00f5d4" }}>── T = {fmtT(tempC)}</span>
+          <span style={{ color: "#fee440" }}>── P_ref = {fmtP(pressureRef)}</span>
+          <span style={{ color: "#777" }}>● boiling / sublimation T where a curve crosses P_ref</span>
+          <span style={{ color: "#777" }}>- - - outside fitted or assumed range (extrapolated)</span>
+          {pahNames.some(n => selected.has(n) && library[n].unc) && <span style={{ color: "#777" }}>▒ 95 % band from coefficient uncertainties</span>}
+          <span style={{ color: "#777" }}>○ triple point (Tm) — solid/sublimation branch below</span>
+          {measuredPoints.length > 0 && <span style={{ color: "#ddd" }}>● measured · ┈ fitted</span>}
+          {mixture.length > 0 && <span style={{ color: MIX_COLOR }}>── mixture bubble P · - - dew P (● bubble T, ○ dew T at P_ref)</span>}
         </div>
       </Panel>
 
       <div style={{ background: "rgba(255,255,255,0.03)", borderRadius: 10, overflow: "hidden" }}>
         <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "10px 14px", borderBottom: "1px solid rgba(255,255,255,0.07)" }}>
           <span style={{ fontFamily: "'Space Mono',monospace", fontSize: 11, color: "#aaa" }}>
-            T={tempC}°C &nbsp;|&nbsp; P={pressureRef.toFixed(2)} {pUnit}
+            T={fmtT(tempC)} &nbsp;|&nbsp; P={fmtP(pressureRef)}
+          </span>
+          <span style={{ display: "flex", gap: 4, marginLeft: "auto", marginRight: 6 }}>
+            <MiniButton onClick={() => exportData("table", "csv")} title="Table as CSV">csv</MiniButton>
+            <MiniButton onClick={() => exportData("table", "json")} title="Table as JSON">json</MiniButton>
           </span>
           <button onClick={() => setShowTable(t => !t)} style={{
             background: "transparent", border: "1px solid #333", color: "#666",
@@ -375,41 +2192,220 @@ export default function App() {
             <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
               <thead>
                 <tr style={{ background: "rgba(255,255,255,0.05)" }}>
-                  {["Compound", `VP (${pUnit})`, "BP (°C)", "Phase"].map(h => (
-                    <th key={h} style={{ padding: "8px 12px", textAlign: h === "Compound" ? "left" : "right", color: "#666", fontWeight: "normal", whiteSpace: "nowrap" }}>{h}</th>
+                  {[["Compound"], [`VP (${pUnit})`, "vp"], [`BP / SP (${tUnit})`, "bp"], ["MW (g/mol)", "MW"], ["Phase"],
+                    [`Triple pt (${tUnit}, ${pUnit})`], ["ΔH (kJ/mol)"], [`dP/dT (${pUnit}/${tUnit})`], ["Sets spread"],
+                    [`Fit range (${tUnit})`], ["CAS"], ["Formula"], ["Rings"], ["EPA-16"]].map(([h, key]) => (
+                    <th key={h} onClick={key && (() => setTableSort(s => (s?.key !== key ? { key, dir: 1 } : s.dir === 1 ? { key, dir: -1 } : null)))}
+                      title={key && "Sort — click again to reverse, a third time for library order"}
+                      style={{ padding: "8px 12px", textAlign: h === "Compound" ? "left" : "right", color: tableSort?.key === key ? "#00f5d4" : "#666", fontWeight: "normal", whiteSpace: "nowrap", cursor: key ? "pointer" : "default" }}>
+                      {h}{key && (tableSort?.key === key ? (tableSort.dir === 1 ? " ▲" : " ▼") : " ↕")}
+                    </th>
                   ))}
                 </tr>
               </thead>
               <tbody>
-                {tableData.map(({ name, vp, bp, color }) => {
-                  const aboveBP = bp !== null && tempC >= bp;
+                {sortedTable.map(({ name, vp, vpBand, bp, bpHalf, sublimation, phase, triple, dH, dHsub, dPdT, spread, color, source, range, rangeBasis, vpExtrap, bpExtrap, MW, cas, formula, rings, epa16 }) => {
                   return (
                     <tr key={name} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
-                      <td style={{ padding: "7px 12px", color, whiteSpace: "nowrap" }}>● {name}</td>
-                      <td style={{ padding: "7px 12px", textAlign: "right", color: "#ccc", fontFamily: "'Space Mono',monospace", fontSize: 10 }}>
+                      <td title={source} style={{ padding: "7px 12px", color, whiteSpace: "nowrap" }}>● {name}</td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: vpExtrap ? "#f4a261" : "#ccc", fontFamily: "'Space Mono',monospace", fontSize: 10 }}>
+                        {vpExtrap && <span title={EXTRAP_TITLE}>⚠ </span>}
                         {vp < 0.0001 ? vp.toExponential(3) : vp < 1 ? vp.toFixed(5) : vp.toFixed(3)}
+                        {vpBand && (
+                          <div title="95 % interval from the coefficient uncertainties" style={{ fontSize: 9, color: "#777" }}>
+                            +{((vpBand[1] / vp - 1) * 100).toFixed(0)} / −{((1 - vpBand[0] / vp) * 100).toFixed(0)} %
+                          </div>
+                        )}
                       </td>
-                      <td style={{ padding: "7px 12px", textAlign: "right", color: "#ccc", fontFamily: "'Space Mono',monospace", fontSize: 10 }}>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: bpExtrap ? "#f4a261" : "#ccc", fontFamily: "'Space Mono',monospace", fontSize: 10 }}>
+                        {bpExtrap && <span title={EXTRAP_TITLE}>⚠ </span>}
                         {bp !== null ? bp.toFixed(1) : "—"}
+                        {bp !== null && bpHalf !== null && <span title="95 % interval from the coefficient uncertainties" style={{ color: "#777" }}> ± {bpHalf.toFixed(1)}</span>}
+                        {bp !== null && sublimation && <span title="Sublimation point — P_ref is below the triple point" style={{ color: "#8ecae6" }}> sub</span>}
+                      </td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: "#ccc", fontFamily: "'Space Mono',monospace", fontSize: 10 }}>
+                        {MW.toFixed(1)}
+                      </td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: PHASE_COLORS[phase], fontSize: 10 }}>
+                        {phase === "vapor" ? "vapor ↑" : phase}
+                      </td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: "#777", fontFamily: "'Space Mono',monospace", fontSize: 10, whiteSpace: "nowrap" }}>
+                        {triple.T} / {triple.P < 0.001 ? triple.P.toExponential(2) : triple.P.toPrecision(3)}
+                      </td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: vpExtrap ? "#f4a261" : "#ccc", fontFamily: "'Space Mono',monospace", fontSize: 10, whiteSpace: "nowrap" }}>
+                        {dH.toFixed(1)}
+                        {dHsub && <span title="Enthalpy of sublimation — the cursor temperature is below Tm" style={{ color: "#8ecae6" }}> sub</span>}
+                      </td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: vpExtrap ? "#f4a261" : "#ccc", fontFamily: "'Space Mono',monospace", fontSize: 10 }}>
+                        {formatSig(dPdT)}
+                      </td>
+                      <td title={spread ? `${spread.n} sets · σ(log₁₀P) = ${spread.sdLog10.toFixed(2)} decades` : "Single set"}
+                        style={{ padding: "7px 12px", textAlign: "right", color: spread?.factor > 3 ? "#f4a261" : "#777", fontFamily: "'Space Mono',monospace", fontSize: 10, whiteSpace: "nowrap" }}>
+                        {spread ? `${spread.n} · ×${formatSig(spread.factor)}` : "—"}
+                      </td>
+                      <td title={rangeBasis === "assumed" ? `Assumed Tm–Tb, not a published fit range · ${source}` : source} style={{ padding: "7px 12px", textAlign: "right", color: "#555", fontFamily: "'Space Mono',monospace", fontSize: 10, whiteSpace: "nowrap" }}>
+                        {range ? `${range[0]} – ${range[1]}${rangeBasis === "assumed" ? " assumed" : ""}` : "unknown"}
                       </td>
-                      <td style={{ padding: "7px 12px", textAlign: "right", color: aboveBP ? "#f15bb5" : "#555", fontSize: 10 }}>
-                        {aboveBP ? "vapor ↑" : "liquid"}
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: "#777", fontFamily: "'Space Mono',monospace", fontSize: 10, whiteSpace: "nowrap" }}>
+                        {cas ?? "—"}
                       </td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: "#777", fontSize: 10 }}>
+                        {formula ? formula.split(/(\d+)/).map((part, i) => (i % 2 ? <sub key={i}>{part}</sub> : part)) : "—"}
+                      </td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: "#777", fontSize: 10 }}>{rings ?? "—"}</td>
+                      <td style={{ padding: "7px 12px", textAlign: "right", color: epa16 ? "#00f5d4" : "#444", fontSize: 10 }}>{epa16 ? "✓" : "—"}</td>
                     </tr>
                   );
                 })}
               </tbody>
             </table>
+            {tableData.some(r => r.vpExtrap || r.bpExtrap) && (
+              <div style={{ padding: "8px 12px", fontSize: 10, color: "#f4a261" }}>
+                ⚠ Extrapolated outside the temperature range the constants were fitted over — treat as an estimate only.
+                {tableData.some(r => (r.vpExtrap || r.bpExtrap) && r.rangeBasis === "assumed") &&
+                  " Ranges marked assumed are the liquid range Tm–Tb, not published fit limits."}
+              </div>
+            )}
           </div>
         )}
       </div>
     </>
   );
 
+  const ComparisonPanel = () => (
+    <Panel style={{ marginTop: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", flexWrap: "wrap", gap: 6 }}>
+        <Label>Literature Sets</Label>
+        <MiniButton onClick={() => setShowSets(v => !v)} color={showSets ? "#00f5d4" : "#666"} disabled={!withSets.length}
+          title="Overlay every set of the selected compounds on the main chart">
+          {showSets ? "✓ overlaid on chart" : "overlay on chart"}
+        </MiniButton>
+      </div>
+      {!compared && (
+        <div style={{ fontSize: 10, color: "#555" }}>
+          No compound has more than one parameter set. Add literature sets in the library editor or import them (JSON <code>sets</code>, or CSV rows with a <code>set</code> label).
+        </div>
+      )}
+      {compared && (
+        <>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 6 }}>
+            <label style={editorLabelStyle}>
+              Compound
+              <select value={compared} onChange={e => { setCompareName(e.target.value); setCompareRef("Primary"); }}
+                style={{ ...editorInputStyle, width: "auto", display: "block", color: library[compared].color }}>
+                {withSets.map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+            <label style={editorLabelStyle}>
+              Reference set
+              <select value={referenceSet.label} onChange={e => setCompareRef(e.target.value)}
+                style={{ ...editorInputStyle, width: "auto", display: "block", color: "#00f5d4" }}>
+                {comparedSets.map(set => <option key={set.label} value={set.label}>{set.label}</option>)}
+              </select>
+            </label>
+          </div>
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={deviationData} margin={{ top: 10, right: 18, left: 0, bottom: 18 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+              <XAxis dataKey="T" type="number" domain={["dataMin", "dataMax"]} stroke="#444" tick={{ fill: "#666", fontSize: 10 }}
+                label={{ value: `Temperature (${tUnit})`, position: "insideBottom", offset: -8, fill: "#555", fontSize: 10 }} />
+              <YAxis stroke="#444" tick={{ fill: "#666", fontSize: 9 }} width={48} tickFormatter={v => formatSig(v)}
+                label={{ value: `% vs ${referenceSet.label}`, angle: -90, position: "insideLeft", fill: "#555", fontSize: 10 }} />
+              <Tooltip
+                contentStyle={{ background: "rgba(8,11,20,0.97)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 8, fontFamily: "'Courier Prime', monospace", fontSize: 12 }}
+                labelFormatter={v => `T = ${temperatureLabel(formatSig(v), tUnit)}`}
+                formatter={v => `${v > 0 ? "+" : ""}${formatSig(v)} %`} />
+              <ReferenceLine y={0} stroke={library[compared].color} />
+              <ReferenceLine x={toT(tempC)} stroke="#00f5d4" strokeDasharray="4 4" />
+              {comparedSets.filter(set => set !== referenceSet).map((set, i) => (
+                <Line key={set.label} type="monotone" dataKey={set.label} name={set.label} stroke={library[compared].color}
+                  strokeDasharray={SET_DASHES[i % SET_DASHES.length]} dot={false} strokeWidth={1.5} isAnimationActive={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr style={{ background: "rgba(255,255,255,0.05)" }}>
+                  {["Set", `P at ${fmtT(tempC)} (${pUnit})`, "vs reference", `Range (${tUnit})`, "Source"].map(h => (
+                    <th key={h} style={{ padding: "6px 10px", textAlign: h === "Set" || h === "Source" ? "left" : "right", color: "#666", fontWeight: "normal", whiteSpace: "nowrap" }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparedSets.map(set => {
+                  const P = saturationVP(set.c, tempC);
+                  const dev = 100 * (P / saturationVP(referenceSet.c, tempC) - 1);
+                  return (
+                    <tr key={set.label} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+                      <td style={{ padding: "6px 10px", color: set === referenceSet ? "#00f5d4" : "#ccc", whiteSpace: "nowrap" }}>{set.label}</td>
+                      <td style={{ ...cellStyle, color: isExtrapolated(set.c, tempC) ? "#f4a261" : cellStyle.color }}>{formatPressure(toP(P))}</td>
+                      <td style={cellStyle}>{set === referenceSet ? "ref" : `${dev > 0 ? "+" : ""}${formatSig(dev)} %`}</td>
+                      <td style={cellStyle}>{"Tlo" in set.c ? `${toT(set.c.Tlo)} – ${toT(set.c.Thi)}${rangeBasis(set.c) === "assumed" ? " assumed" : ""}` : "—"}</td>
+                      <td style={{ padding: "6px 10px", color: "#666", fontSize: 10 }}>{set.source ?? ""}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {comparedSpread && (
+            <div style={{ fontSize: 10, color: "#888", fontFamily: "'Space Mono',monospace", marginTop: 6 }}>
+              At {fmtT(tempC)}: {comparedSpread.n} sets span ×{formatSig(comparedSpread.factor)} (max/min) · σ(log₁₀P) = {comparedSpread.sdLog10.toFixed(3)} decades
+            </div>
+          )}
+        </>
+      )}
+    </Panel>
+  );
+
+  const DerivedPanel = () => {
+    const clausius = derivedView === "clausius";
+    const yLabel = clausius ? `ln (P / ${pUnit})`
+      : derivedView === "enthalpy" ? "ΔHvap / ΔHsub (kJ/mol)"
+      : `dP/dT (${pUnit}/${tUnit})`;
+    return (
+      <Panel style={{ padding: "10px 4px 10px 0", marginTop: 12 }}>
+        <div style={{ display: "flex", gap: 4, alignItems: "center", padding: "0 10px 4px 14px" }}>
+          <Label>Derived Thermodynamics</Label>
+          <span style={{ display: "flex", gap: 4, marginLeft: "auto" }}>
+            {Object.entries(DERIVED_VIEWS).map(([id, label]) => (
+              <MiniButton key={id} onClick={() => setDerivedView(id)} color={derivedView === id ? "#00f5d4" : "#666"}>{label}</MiniButton>
+            ))}
+          </span>
+        </div>
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart data={derivedData} margin={{ top: 12, right: 18, left: 8, bottom: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+            <XAxis dataKey={clausius ? "invT" : "T"} type="number" domain={["dataMin", "dataMax"]}
+              stroke="#444" tick={{ fill: "#666", fontSize: 10 }} tickFormatter={v => formatSig(v)}
+              label={{ value: clausius ? "1000 / T (K⁻¹)" : `Temperature (${tUnit})`, position: "insideBottom", offset: -10, fill: "#555", fontSize: 11 }} />
+            <YAxis stroke="#444" tick={{ fill: "#666", fontSize: 9 }} domain={["auto", "auto"]}
+              scale={derivedView === "slope" && logScale ? "log" : "linear"} allowDataOverflow={true}
+              tickFormatter={v => formatSig(v)}
+              label={{ value: yLabel, angle: -90, position: "insideLeft", fill: "#555", fontSize: 11 }} />
+            <Tooltip
+              contentStyle={{ background: "rgba(8,11,20,0.97)", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 8, fontFamily: "'Courier Prime', monospace", fontSize: 12 }}
+              labelFormatter={v => (clausius ? `1000/T = ${formatSig(v)} K⁻¹` : `T = ${temperatureLabel(formatSig(v), tUnit)}`)}
+              formatter={v => formatSig(v)} />
+            <ReferenceLine x={clausius ? 1000 / (tempC + KELVIN) : toT(tempC)} stroke="#00f5d4" strokeDasharray="4 4" strokeWidth={1.5} />
+            {pahNames.filter(n => selected.has(n)).map(name => (
+              <Line key={name} type="monotone" dataKey={name} name={name} stroke={library[name].color}
+                dot={false} strokeWidth={2} activeDot={{ r: 3 }} isAnimationActive={false} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+        <div style={{ fontSize: 9, color: "#555", padding: "2px 14px 0" }}>
+          From the Clausius–Clapeyron relation ΔH = R·T²·d ln P/dT on each saturation curve: sublimation below Tm, vaporization above
+          (the step at Tm is ΔHfus). A straight ln P vs 1/T line means a constant ΔH.
+        </div>
+      </Panel>
+    );
+  };
+
   return (
     <>
       <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=Courier+Prime:wght@400;700&family=Space+Mono:wght@400;700&display=swap');
         * { box-sizing: border-box; }
         input[type=range] { cursor: pointer; width: 100%; }
         select, button { cursor: pointer; }
@@ -444,7 +2440,11 @@ export default function App() {
         }
 
         @media (min-width: 701px) { .mobile-wrapper { display: none !important; } }
+
+        .update-prompt { right: 16px; bottom: 16px; }
+        @media (max-width: 700px) { .update-prompt { left: 14px; right: 14px; bottom: 84px; } }
       `}</style>
+      <UpdatePrompt />
 
       {/* DESKTOP */}
       <div className="layout">
@@ -453,13 +2453,13 @@ export default function App() {
             PAH VAPOR PRESSURE EXPLORER
           </h1>
           <p style={{ margin: "5px 0 0", fontSize: 11, color: "#555" }}>
-            Antoine Equation &nbsp;|&nbsp; log₁₀(P/mmHg) = A − B/(C + T°C)
+            Vapor-pressure equations &nbsp;|&nbsp; {Object.values(EQUATIONS).map(def => def.label).join(" · ")}
             &nbsp;·&nbsp;
             <span style={{ color: "#383838" }}>click dashed numbers under sliders to edit scale bounds</span>
           </p>
         </div>
-        <div className="sidebar"><CompoundPanel /><SettingsPanel /></div>
-        <div className="main-content"><ChartPanel /></div>
+        <div className="sidebar">{compoundPanel}<SettingsPanel />{sessionsPanel}</div>
+        <div className="main-content"><ChartPanel /><ComparisonPanel /><DerivedPanel />{partitioningPanel}{kineticsPanel}{mixturePanel}{separationPanel}{fitPanel}</div>
       </div>
 
       {/* MOBILE */}
@@ -469,15 +2469,23 @@ export default function App() {
           <p style={{ fontSize: 10, color: "#555", marginTop: 2 }}>Tap dashed numbers to edit scale bounds</p>
         </div>
         <div className="mobile-scroll">
-          {mobileTab === "chart"     && <ChartPanel />}
-          {mobileTab === "compounds" && <CompoundPanel />}
-          {mobileTab === "settings"  && <SettingsPanel />}
+          {mobileTab === "chart"     && <><ChartPanel /><ComparisonPanel /><DerivedPanel /></>}
+          {mobileTab === "compounds" && compoundPanel}
+          {mobileTab === "settings"  && <><SettingsPanel />{sessionsPanel}</>}
+          {mobileTab === "aerosol"   && partitioningPanel}
+          {mobileTab === "kinetics"  && kineticsPanel}
+          {mobileTab === "mixture"   && <>{mixturePanel}{separationPanel}</>}
+          {mobileTab === "fit"       && fitPanel}
         </div>
         <nav className="mobile-nav">
           {[
             { id: "chart", icon: "📈", label: "Chart" },
             { id: "compounds", icon: "🧪", label: "Compounds" },
             { id: "settings", icon: "⚙️", label: "Settings" },
+            { id: "aerosol", icon: "🌫️", label: "Aerosol" },
+            { id: "kinetics", icon: "🔥", label: "TGA" },
+            { id: "mixture", icon: "⚗️", label: "Mix" },
+            { id: "fit", icon: "📐", label: "Fit" },
           ].map(({ id, icon, label }) => (
             <button key={id} className={mobileTab === id ? "active" : ""} onClick={() => setMobileTab(id)}>
               <span className="icon">{icon}</span>{label}
@@ -0,0 +1,270 @@
+// Compound library entries and the file formats around them: parsing and
+// validating loosely typed entries, the library's JSON and CSV forms, and the
+// CSV/JSON tables the exports write. No browser dependencies, so the CLI
+// reads the same library files as the app.
+//
+// PAH_DATA entries are built in and read-only; user entries are layered on
+// top (the app persists them to localStorage).
+
+import { PAH_DATA, PAH_META, EQUATIONS, parseUncertainty, rangeBasis } from "./physics.js";
+
+export const COLORS = [
+  "#00f5d4","#fee440","#f15bb5","#9b5de5","#00bbf9",
+  "#fb5607","#8ecae6","#a8dadc","#e9c46a","#f4a261",
+  "#52b788","#2a9d8f","#e76f51","#ffd166",
+];
+
+export const COMPOUND_FIELDS = ["Tm", "Tb", "MW"];
+// Optional numeric fields: fitted range (user entries may have none) and
+// enthalpy of fusion
+export const OPTIONAL_FIELDS = ["Tlo", "Thi", "Hfus"];
+// Optional descriptive metadata (see PAH_META); synonyms are a list, written
+// "a; b" in CSV, and epa16 is a flag
+export const META_FIELDS = ["cas", "formula", "rings", "epa16", "synonyms"];
+// In CSV an equation is two cells: its form and "name=value; ..." coefficients.
+// Coefficient uncertainties go in the same "name=σ; ..." style, or as a JSON
+// covariance matrix. Alternative literature sets are extra rows with the
+// compound's name and a `set` label, using the equation, range, uncertainty
+// and source columns. `rangeBasis` says whether Tlo/Thi was fitted or assumed.
+export const CSV_COLUMNS = [
+  "name", "set", "form", "coefficients", "sigmas", "covariance", ...COMPOUND_FIELDS, ...OPTIONAL_FIELDS, "rangeBasis",
+  "subForm", "subCoefficients", ...META_FIELDS, "source", "color",
+];
+
+export const BUILTIN_LIBRARY = Object.fromEntries(
+  Object.entries(PAH_DATA).map(([name, d], i) => [name, { ...d, ...PAH_META[name], color: COLORS[i % COLORS.length], builtin: true }])
+);
+
+export function formatCoefficients(eq) {
+  return EQUATIONS[eq.form].params.map(p => `${p}=${eq[p]}`).join("; ");
+}
+
+export function parseCoefficients(form, text) {
+  const eq = { form };
+  String(text ?? "").split(";").forEach(pair => {
+    const [k, v] = pair.split("=");
+    if (k?.trim()) eq[k.trim()] = v;
+  });
+  return eq;
+}
+
+// { form, ...coefficients } with numeric coefficients, or null for an unknown form
+export function parseEquation(raw) {
+  const def = EQUATIONS[raw?.form];
+  if (!def) return null;
+  return { form: raw.form, ...Object.fromEntries(def.params.map(p => [p, parseFloat(raw[p])])) };
+}
+
+// Alternative literature set { label, eq, Tlo?, Thi?, source?, unc? } from
+// loosely typed input; validated with the entry
+export function parseSet(raw) {
+  const set = { label: String(raw?.label ?? "").trim(), eq: parseEquation(raw?.eq) };
+  ["Tlo", "Thi"].forEach(f => {
+    if (String(raw?.[f] ?? "").trim() !== "") set[f] = parseFloat(raw[f]);
+  });
+  const source = String(raw?.source ?? "").trim();
+  if (source) set.source = source;
+  const unc = parseUncertainty(raw?.unc, set.eq);
+  if (unc) set.unc = unc;
+  return set;
+}
+
+const isFlagSet = (v) => v === true || /^(true|yes|1)$/i.test(String(v ?? "").trim());
+
+// Build a library entry from loosely typed input (form strings, CSV cells, JSON).
+// Entries saved before equation forms existed carry flat Antoine A/B/C and
+// sublimation sA/sB/sC; those are read as Antoine equations. An assumed range
+// comes as `rangeAssumed` (JSON) or a `rangeBasis` of "assumed" (CSV).
+export function parseEntry(row) {
+  const entry = Object.fromEntries(COMPOUND_FIELDS.map(f => [f, parseFloat(row?.[f])]));
+  OPTIONAL_FIELDS.forEach(f => {
+    if (String(row?.[f] ?? "").trim() !== "") entry[f] = parseFloat(row[f]);
+  });
+  if ("Tlo" in entry && (isFlagSet(row?.rangeAssumed) || /^assumed$/i.test(String(row?.rangeBasis ?? "").trim()))) {
+    entry.rangeAssumed = true;
+  }
+  entry.eq = parseEquation(row?.eq ?? { form: "antoine", A: row?.A, B: row?.B, C: row?.C });
+  const sub = row?.sub ?? (String(row?.sA ?? "").trim() !== "" ? { form: "antoine", A: row.sA, B: row.sB, C: row.sC } : null);
+  if (sub) entry.sub = parseEquation(sub);
+  const unc = parseUncertainty(row?.unc, entry.eq);
+  if (unc) entry.unc = unc;
+  if (Array.isArray(row?.sets) && row.sets.length) entry.sets = row.sets.map(parseSet);
+  const source = String(row?.source ?? "").trim();
+  if (source) entry.source = source;
+  ["cas", "formula"].forEach(f => {
+    const v = String(row?.[f] ?? "").trim();
+    if (v) entry[f] = v;
+  });
+  if (String(row?.rings ?? "").trim() !== "") entry.rings = parseFloat(row.rings);
+  if (isFlagSet(row?.epa16)) entry.epa16 = true;
+  const synonyms = (Array.isArray(row?.synonyms) ? row.synonyms : String(row?.synonyms ?? "").split(";"))
+    .map(v => String(v).trim()).filter(Boolean);
+  if (synonyms.length) entry.synonyms = synonyms;
+  return entry;
+}
+
+// CAS registry number: the last digit checks the others, weighted 1, 2, 3, …
+// from the right
+export function isValidCAS(cas) {
+  const m = /^(\d{2,7})-(\d{2})-(\d)$/.exec(cas);
+  if (!m) return false;
+  const digits = (m[1] + m[2]).split("").reverse();
+  return digits.reduce((sum, d, i) => sum + d * (i + 1), 0) % 10 === Number(m[3]);
+}
+
+function validateEquation(eq, what) {
+  if (!eq) return `Unknown ${what} equation form`;
+  for (const p of EQUATIONS[eq.form].params) {
+    if (!Number.isFinite(eq[p])) return `${what} ${p} must be a number`;
+  }
+  return null;
+}
+
+// Returns an error message, or null if the entry is usable
+export function validateCompound(name, c) {
+  if (!name) return "Name is required";
+  for (const f of COMPOUND_FIELDS) {
+    if (!Number.isFinite(c[f])) return `${f} must be a number`;
+  }
+  if (c.MW <= 0) return "MW must be positive";
+  const eqError = validateEquation(c.eq, "Liquid") ?? ("sub" in c ? validateEquation(c.sub, "Sublimation") : null);
+  if (eqError) return eqError;
+  if (("Tlo" in c) !== ("Thi" in c)) return "Give both ends of the fitted range, or neither";
+  if ("Tlo" in c && !(c.Tlo < c.Thi)) return "Fitted range needs Tlo < Thi";
+  if ("Hfus" in c && !(c.Hfus > 0)) return "ΔHfus must be positive";
+  if ("cas" in c && !isValidCAS(c.cas)) return "CAS number must look like 91-20-3, with a matching check digit";
+  if ("rings" in c && !(Number.isInteger(c.rings) && c.rings > 0)) return "Ring count must be a positive whole number";
+  for (const set of c.sets ?? []) {
+    if (!set.label || set.label === "Primary") return "Every literature set needs a label other than \"Primary\"";
+    const setError = validateEquation(set.eq, `Set "${set.label}"`);
+    if (setError) return setError;
+    if (("Tlo" in set) !== ("Thi" in set) || ("Tlo" in set && !(set.Tlo < set.Thi))) return `Set "${set.label}" needs a range with Tlo < Thi, or none`;
+  }
+  if (new Set((c.sets ?? []).map(set => set.label)).size !== (c.sets ?? []).length) return "Literature set labels must be unique";
+  return null;
+}
+
+// Normalise imported rows (array of { name, ... } or a { name: entry } map)
+// into user entries. Built-in names and invalid rows are skipped.
+export function sanitizeCompounds(rows) {
+  const list = Array.isArray(rows)
+    ? rows
+    : Object.entries(rows ?? {}).map(([name, c]) => ({ ...c, name }));
+  const compounds = {};
+  let skipped = 0;
+  list.forEach((row, i) => {
+    const name = String(row?.name ?? "").trim();
+    const entry = parseEntry(row);
+    if (BUILTIN_LIBRARY[name] || validateCompound(name, entry)) { skipped++; return; }
+    entry.color = /^#[0-9a-f]{6}$/i.test(row.color) ? row.color : COLORS[i % COLORS.length];
+    compounds[name] = entry;
+  });
+  return { compounds, skipped };
+}
+
+export function unusedColor(library) {
+  return COLORS.find(c => !Object.values(library).some(e => e.color === c)) ?? COLORS[0];
+}
+
+export function uniqueName(base, taken) {
+  if (!taken[base]) return base;
+  for (let n = 2; ; n++) {
+    if (!taken[`${base} ${n}`]) return `${base} ${n}`;
+  }
+}
+
+function csvField(v) {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(rows) {
+  return rows.map(r => r.map(csvField).join(",")).join("\n") + "\n";
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+export function parseCSV(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+export function libraryToCSV(library) {
+  const cells = (name, c) => CSV_COLUMNS.map(col => {
+    if (col === "name") return name;
+    if (col === "set") return c.label;
+    if (col === "form") return c.eq.form;
+    if (col === "coefficients") return formatCoefficients(c.eq);
+    if (col === "sigmas") return c.unc?.sigma && Object.entries(c.unc.sigma).map(([k, v]) => `${k}=${v}`).join("; ");
+    if (col === "covariance") return c.unc?.cov && JSON.stringify(c.unc.cov);
+    if (col === "rangeBasis") return rangeBasis(c);
+    if (col === "subForm") return c.sub?.form;
+    if (col === "subCoefficients") return c.sub && formatCoefficients(c.sub);
+    if (col === "epa16") return c.epa16 ? "yes" : "";
+    if (col === "synonyms") return c.synonyms?.join("; ");
+    return c[col];
+  });
+  return toCSV([
+    CSV_COLUMNS,
+    ...Object.entries(library).flatMap(([name, c]) => [cells(name, c), ...(c.sets ?? []).map(set => cells(name, set))]),
+  ]);
+}
+
+export function libraryToJSON(library) {
+  const out = Object.fromEntries(Object.entries(library).map(([name, { builtin, ...c }]) => [name, c]));
+  return JSON.stringify(out, null, 2);
+}
+
+export function parseLibraryFile(filename, text) {
+  if (/\.csv$/i.test(filename)) {
+    const [header, ...body] = parseCSV(text);
+    if (!header) throw new Error("Empty CSV file");
+    const cols = header.map(h => h.trim());
+    if (!cols.includes("name")) throw new Error(`Missing CSV header — the first row must name the columns, including "name"`);
+    const rows = body.map(r => {
+      const row = Object.fromEntries(cols.map((c, i) => [c, r[i]]));
+      if (row.form) row.eq = parseCoefficients(row.form.trim(), row.coefficients);
+      if (row.subForm) row.sub = parseCoefficients(row.subForm.trim(), row.subCoefficients);
+      if (row.covariance?.trim()) {
+        try { row.unc = { cov: JSON.parse(row.covariance) }; } catch { /* malformed — ignored */ }
+      } else if (row.sigmas?.trim()) {
+        const { form, ...sigma } = parseCoefficients("", row.sigmas);
+        row.unc = { sigma };
+      }
+      return row;
+    });
+    // Set rows attach to the compound row of the same name
+    const compounds = rows.filter(row => !row.set?.trim());
+    rows.filter(row => row.set?.trim()).forEach(row => {
+      const owner = compounds.find(c => c.name?.trim() === row.name?.trim());
+      if (owner) owner.sets = [...(owner.sets ?? []), { ...row, label: row.set }];
+    });
+    return sanitizeCompounds(compounds);
+  }
+  return sanitizeCompounds(JSON.parse(text));
+}
+
+// Tabular export: CSV and JSON share the same headers, units included
+export function tableToCSV({ headers, rows }) {
+  return toCSV([headers, ...rows]);
+}
+
+export function tableToJSON({ headers, rows }, meta = {}) {
+  return JSON.stringify({ ...meta, rows: rows.map(r => Object.fromEntries(headers.map((h, i) => [h, r[i]]))) }, null, 2);
+}
+
+export const exportNumber = (v) => (v === null || v === undefined || !Number.isFinite(v) ? null : Number(v.toPrecision(6)));
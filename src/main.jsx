@@ -1,6 +1,10 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import '@fontsource/space-mono/400.css'
+import '@fontsource/space-mono/700.css'
+import '@fontsource/courier-prime/400.css'
+import '@fontsource/courier-prime/700.css'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
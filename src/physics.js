@@ -0,0 +1,737 @@
+// Calculation core of the explorer: the built-in compound data, unit
+// conversion and every model the UI plots. A plain ES module with no browser
+// or React dependencies, shared by the app, the command-line tool
+// (cli/pah-vp.js) and the tests. Temperatures are °C and pressures mmHg unless
+// a name or comment says otherwise.
+
+// Built-in compounds. `eq` is the vapor-pressure equation (see EQUATIONS); all
+// of these use Antoine constants, log10(P/mmHg) = A - B/(C+T), T in °C.
+// Tlo/Thi is the temperature range the constants were fitted over (°C); values
+// outside it are extrapolations and are flagged in the chart and table. Where
+// that range is not known, `rangeAssumed` marks Tlo/Thi as a stand-in.
+// Hfus is the enthalpy of fusion (kJ/mol) used to derive the sublimation curve
+// below Tm; where it is not tabulated, Walden's rule supplies an estimate.
+// The original table carried no citations; until each set is traced to its
+// publication the range is taken as the liquid range Tm–Tb.
+export const antoine = (A, B, C) => ({ form: "antoine", A, B, C });
+const LEGACY = { source: "Original table (uncited) — range assumed Tm–Tb", rangeAssumed: true };
+export const PAH_DATA = {
+  "Naphthalene":                    { eq: antoine(7.01065, 1733.71, 202.700), Tm: 80,  Tb: 218, MW: 128.2, Tlo: 80,  Thi: 218, ...LEGACY, Hfus: 19.1 },
+  "Acenaphthylene":                 { eq: antoine(7.0685,  1887.0,  196.0),   Tm: 92,  Tb: 280, MW: 152.2, Tlo: 92,  Thi: 280, ...LEGACY },
+  "9H-Fluorene":                    { eq: antoine(7.0200,  1975.0,  196.0),   Tm: 116, Tb: 295, MW: 166.2, Tlo: 116, Thi: 295, ...LEGACY, Hfus: 19.6 },
+  "Phenanthrene":                   { eq: antoine(7.0600,  2100.0,  196.0),   Tm: 101, Tb: 340, MW: 178.2, Tlo: 101, Thi: 340, ...LEGACY, Hfus: 16.5 },
+  "Anthracene":                     { eq: antoine(6.9800,  2180.0,  185.0),   Tm: 216, Tb: 342, MW: 178.2, Tlo: 216, Thi: 342, ...LEGACY, Hfus: 29.4 },
+  "4H-Cyclopenta[def]phenanthrene": { eq: antoine(7.050,   2250.0,  190.0),   Tm: 174, Tb: 360, MW: 190.2, Tlo: 174, Thi: 360, ...LEGACY },
+  "Pyrene":                         { eq: antoine(7.0150,  2320.0,  190.0),   Tm: 150, Tb: 393, MW: 202.3, Tlo: 150, Thi: 393, ...LEGACY, Hfus: 17.4 },
+  "Fluoranthene":                   { eq: antoine(7.0300,  2300.0,  188.0),   Tm: 111, Tb: 384, MW: 202.3, Tlo: 111, Thi: 384, ...LEGACY, Hfus: 18.7 },
+  "beta-Pyrene":                    { eq: antoine(7.0400,  2400.0,  185.0),   Tm: 181, Tb: 404, MW: 202.3, Tlo: 181, Thi: 404, ...LEGACY },
+  "2-methyl-Fluoranthene":          { eq: antoine(7.020,   2350.0,  187.0),   Tm: 120, Tb: 395, MW: 216.3, Tlo: 120, Thi: 395, ...LEGACY },
+  "Cyclopenta[cd]pyrene":           { eq: antoine(7.020,   2420.0,  185.0),   Tm: 170, Tb: 420, MW: 226.3, Tlo: 170, Thi: 420, ...LEGACY },
+  "Cyclopenta[cd]pyrene isomer":    { eq: antoine(7.010,   2440.0,  184.0),   Tm: 175, Tb: 425, MW: 226.3, Tlo: 175, Thi: 425, ...LEGACY },
+  "Benzo[c]phenanthrene":           { eq: antoine(6.9900,  2450.0,  183.0),   Tm: 68,  Tb: 425, MW: 228.3, Tlo: 68,  Thi: 425, ...LEGACY },
+  "Benzo[ghi]perylene":             { eq: antoine(6.9700,  2700.0,  178.0),   Tm: 278, Tb: 500, MW: 276.3, Tlo: 278, Thi: 500, ...LEGACY },
+};
+
+// Descriptive metadata for the built-ins: CAS registry number, formula, ring
+// count (five-membered rings included), membership of the US EPA list of 16
+// priority PAHs, and synonyms. "beta-Pyrene" and the unnamed cyclopenta[cd]pyrene
+// isomer can't be identified from the original table, so only what their names
+// imply is filled in.
+export const PAH_META = {
+  "Naphthalene":                    { cas: "91-20-3",    formula: "C10H8",  rings: 2, epa16: true, synonyms: ["Naphthalin", "Tar camphor"] },
+  "Acenaphthylene":                 { cas: "208-96-8",   formula: "C12H8",  rings: 3, epa16: true, synonyms: ["Cyclopenta[de]naphthalene"] },
+  "9H-Fluorene":                    { cas: "86-73-7",    formula: "C13H10", rings: 3, epa16: true, synonyms: ["Fluorene", "Diphenylenemethane"] },
+  "Phenanthrene":                   { cas: "85-01-8",    formula: "C14H10", rings: 3, epa16: true },
+  "Anthracene":                     { cas: "120-12-7",   formula: "C14H10", rings: 3, epa16: true, synonyms: ["Paranaphthalene"] },
+  "4H-Cyclopenta[def]phenanthrene": { cas: "203-64-5",   formula: "C15H10", rings: 4, synonyms: ["4,5-Methylenephenanthrene"] },
+  "Pyrene":                         { cas: "129-00-0",   formula: "C16H10", rings: 4, epa16: true, synonyms: ["Benzo[def]phenanthrene"] },
+  "Fluoranthene":                   { cas: "206-44-0",   formula: "C16H10", rings: 4, epa16: true, synonyms: ["Benzo[jk]fluorene", "1,2-Benzacenaphthene"] },
+  "beta-Pyrene":                    {},
+  "2-methyl-Fluoranthene":          { cas: "33543-31-6", formula: "C17H12", rings: 4, synonyms: ["2-Methylfluoranthene"] },
+  "Cyclopenta[cd]pyrene":           { cas: "27208-37-3", formula: "C18H10", rings: 5, synonyms: ["Acepyrylene"] },
+  "Cyclopenta[cd]pyrene isomer":    { formula: "C18H10" },
+  "Benzo[c]phenanthrene":           { cas: "195-19-7",   formula: "C18H12", rings: 4, synonyms: ["3,4-Benzophenanthrene"] },
+  "Benzo[ghi]perylene":             { cas: "191-24-2",   formula: "C22H12", rings: 6, epa16: true, synonyms: ["1,12-Benzoperylene"] },
+};
+
+// ── Units ───────────────────────────────────────────────────────────────────
+// The model works in mmHg and °C throughout; display units are converted at the
+// UI edges (sliders, inputs, axes, tables, exports) in both directions.
+
+export const PRESSURE_UNITS = {   // display units per mmHg
+  Torr: 1,
+  mmHg: 1,
+  Pa:   133.322,
+  kPa:  0.133322,
+  mbar: 1.33322,
+  bar:  0.00133322,
+  atm:  1 / 760,
+  psi:  0.0193368,
+};
+
+export const TEMPERATURE_UNITS = {   // display = °C · scale + offset
+  "°C": { scale: 1,   offset: 0 },
+  K:    { scale: 1,   offset: 273.15 },
+  "°F": { scale: 1.8, offset: 32 },
+};
+
+export const toPressureUnit = (mmhg, unit) => mmhg * PRESSURE_UNITS[unit];
+export const fromPressureUnit = (v, unit) => v / PRESSURE_UNITS[unit];
+export const toTemperatureUnit = (c, unit) => c * TEMPERATURE_UNITS[unit].scale + TEMPERATURE_UNITS[unit].offset;
+export const fromTemperatureUnit = (v, unit) => (v - TEMPERATURE_UNITS[unit].offset) / TEMPERATURE_UNITS[unit].scale;
+
+export const roundSig = (v, digits = 4) => Number(v.toPrecision(digits));
+
+// "150°C", "423.15 K", "302°F"
+export const temperatureLabel = (v, unit) => (unit === "K" ? `${v} K` : `${v}${unit}`);
+
+export function antoineVP(A, B, C, T) {
+  return Math.pow(10, A - B / (C + T));
+}
+
+export function boilingPoint(A, B, C, P_mmhg) {
+  const val = A - Math.log10(P_mmhg);
+  if (val <= 0) return null;
+  return B / val - C;
+}
+
+// ── Vapor-pressure equations ────────────────────────────────────────────────
+// A compound's `eq` is { form, ...coefficients }. Every form maps T (°C) to
+// P (mmHg), converting internally where the published form is in K and Pa.
+// Forms without an `inverse` are inverted numerically, searching above `minT`
+// (a pole in the equation) and below `maxT` where a form defines them.
+
+export const R_GAS = 8.314462618;   // J/(mol·K)
+export const KELVIN = 273.15;
+export const PA_PER_MMHG = 133.322;
+
+export const EQUATIONS = {
+  antoine: {
+    label: "Antoine",
+    formula: "log₁₀(P/mmHg) = A − B/(C + T°C)",
+    params: ["A", "B", "C"],
+    vp: ({ A, B, C }, T) => antoineVP(A, B, C, T),
+    inverse: ({ A, B, C }, P) => boilingPoint(A, B, C, P),
+    minT: ({ C }) => -C,
+  },
+  antoineExt: {
+    label: "Extended Antoine",
+    formula: "ln(P/Pa) = A + B/(T + C) + D·T + E·ln T + F·T^G  (T in K)",
+    params: ["A", "B", "C", "D", "E", "F", "G"],
+    vp: ({ A, B, C, D, E, F, G }, T) => {
+      const TK = T + KELVIN;
+      return Math.exp(A + B / (TK + C) + D * TK + E * Math.log(TK) + F * Math.pow(TK, G)) / PA_PER_MMHG;
+    },
+    minT: ({ C }) => -C - KELVIN,
+  },
+  wagner: {
+    label: "Wagner (2.5, 5)",
+    formula: "ln(P/Pc) = (Tc/T)(a·τ + b·τ^1.5 + c·τ^2.5 + d·τ^5),  τ = 1 − T/Tc",
+    params: ["Tc", "Pc", "a", "b", "c", "d"],
+    units: { Tc: "K", Pc: "Pa" },
+    vp: ({ Tc, Pc, a, b, c, d }, T) => {
+      const tau = 1 - (T + KELVIN) / Tc;
+      if (tau < 0) return NaN; // supercritical
+      const lnPr = (Tc / (T + KELVIN)) * (a * tau + b * tau ** 1.5 + c * tau ** 2.5 + d * tau ** 5);
+      return Pc * Math.exp(lnPr) / PA_PER_MMHG;
+    },
+    maxT: ({ Tc }) => Tc - KELVIN,
+  },
+  dippr101: {
+    label: "DIPPR 101",
+    formula: "ln(P/Pa) = A + B/T + C·ln T + D·T^E  (T in K)",
+    params: ["A", "B", "C", "D", "E"],
+    vp: ({ A, B, C, D, E }, T) => {
+      const TK = T + KELVIN;
+      return Math.exp(A + B / TK + C * Math.log(TK) + D * Math.pow(TK, E)) / PA_PER_MMHG;
+    },
+  },
+  clausius: {
+    label: "Clausius–Clapeyron",
+    formula: "ln(P/Pref) = −ΔHvap/R · (1/T − 1/Tref)",
+    params: ["Hvap", "Tref", "Pref"],
+    units: { Hvap: "kJ/mol", Tref: "°C", Pref: "mmHg" },
+    vp: ({ Hvap, Tref, Pref }, T) =>
+      Pref * Math.exp(-Hvap * 1000 / R_GAS * (1 / (T + KELVIN) - 1 / (Tref + KELVIN))),
+    inverse: ({ Hvap, Tref, Pref }, P) => {
+      const invT = 1 / (Tref + KELVIN) - R_GAS * Math.log(P / Pref) / (Hvap * 1000);
+      return invT > 0 ? 1 / invT - KELVIN : null;
+    },
+  },
+};
+
+// Default search interval (°C) for numeric inversion
+const SOLVE_MIN_T = -KELVIN + 1;
+const SOLVE_MAX_T = 2000;
+
+// Solve f(T) = target on [lo, hi]: scan for the first upward crossing, then
+// bisect. Returns null when the target isn't reached inside the interval.
+function solveForT(f, target, lo, hi, steps = 400) {
+  let a = lo, ga = f(a) - target;
+  for (let i = 1; i <= steps; i++) {
+    let b = lo + (hi - lo) * i / steps;
+    const gb = f(b) - target;
+    if (ga <= 0 && gb >= 0) {
+      for (let k = 0; k < 60 && b - a > 1e-7; k++) {
+        const mid = (a + b) / 2;
+        if (f(mid) < target) a = mid; else b = mid;
+      }
+      return (a + b) / 2;
+    }
+    a = b; ga = gb;
+  }
+  return null;
+}
+
+// Vapor pressure (mmHg) at T (°C) from an equation of any form
+export function equationVP(eq, T) {
+  return EQUATIONS[eq.form].vp(eq, T);
+}
+
+// Lowest temperature (°C) an equation can be evaluated and solved from
+function equationMinT(eq) {
+  const pole = EQUATIONS[eq.form].minT?.(eq);
+  return pole === undefined ? SOLVE_MIN_T : Math.max(SOLVE_MIN_T, pole + 1e-3);
+}
+
+// Temperature (°C) at which an equation reaches P_mmhg, or null
+export function equationInverse(eq, P_mmhg) {
+  const def = EQUATIONS[eq.form];
+  if (def.inverse) return def.inverse(eq, P_mmhg);
+  return solveForT(T => Math.log(def.vp(eq, T)), Math.log(P_mmhg), equationMinT(eq), def.maxT?.(eq) ?? SOLVE_MAX_T);
+}
+
+// ── Phase model ─────────────────────────────────────────────────────────────
+// Above Tm the liquid equation `eq` applies. Below it the stable phase is the
+// solid, whose vapor pressure comes from a sublimation equation `sub` when the
+// entry has one, else from the subcooled-liquid curve corrected by the
+// enthalpy of fusion:  ln(Ps/Pl) = −ΔHfus/R · (1/T − 1/Tm).
+
+const WALDEN_DSFUS = 56.5;   // J/(mol·K) — Walden's rule entropy of fusion
+
+// Enthalpy of fusion in J/mol
+export function fusionEnthalpy(c) {
+  return Number.isFinite(c.Hfus) ? c.Hfus * 1000 : WALDEN_DSFUS * (c.Tm + KELVIN);
+}
+
+// Saturation vapor pressure (mmHg) over the stable condensed phase at T (°C)
+export function saturationVP(c, T) {
+  if (T < c.Tm && c.sub) return equationVP(c.sub, T);
+  const Pl = equationVP(c.eq, T);
+  if (T >= c.Tm) return Pl;
+  return Pl * Math.exp(-fusionEnthalpy(c) / R_GAS * (1 / (T + KELVIN) - 1 / (c.Tm + KELVIN)));
+}
+
+// Solid–liquid–vapor triple point, taken at Tm on the liquid curve
+export function triplePoint(c) {
+  return { T: c.Tm, P: equationVP(c.eq, c.Tm) };
+}
+
+// Temperature (°C) at which the saturation pressure reaches P_mmhg — the boiling
+// point above the triple-point pressure, the sublimation point below it.
+export function transitionPoint(c, P_mmhg) {
+  if (P_mmhg >= triplePoint(c).P) return { T: equationInverse(c.eq, P_mmhg), sublimation: false };
+  if (c.sub) return { T: equationInverse(c.sub, P_mmhg), sublimation: true };
+  // The fusion-corrected curve has no closed-form inverse
+  const T = solveForT(t => Math.log(saturationVP(c, t)), Math.log(P_mmhg), equationMinT(c.eq), c.Tm);
+  return { T, sublimation: true };
+}
+
+// Equilibrium phase at T (°C) under an applied pressure P_mmhg
+export function phaseAt(c, T, P_mmhg) {
+  if (saturationVP(c, T) >= P_mmhg) return "vapor";
+  return T < c.Tm ? "solid" : "liquid";
+}
+
+// True when T lies outside the fitted range of the liquid equation, which also
+// underlies the fusion-corrected solid branch. A sublimation equation carries
+// no range and is never flagged; neither are entries without a range.
+export function isExtrapolated(c, T) {
+  if (T < c.Tm && c.sub) return false;
+  return "Tlo" in c && (T < c.Tlo || T > c.Thi);
+}
+
+// How an entry's Tlo–Thi range was obtained: "fitted", "assumed", or null
+// when it has none
+export const rangeBasis = (c) => ("Tlo" in c ? (c.rangeAssumed ? "assumed" : "fitted") : null);
+
+// ── Derived thermodynamics ──────────────────────────────────────────────────
+// Clausius–Clapeyron: ΔH = R·T²·d ln P/dT along the saturation curve, i.e. the
+// enthalpy of vaporization above Tm and of sublimation below it. The slope is
+// taken numerically so it works for every equation form; the step stays on one
+// side of Tm so the derivative never straddles the kink at the triple point.
+
+const DERIV_STEP = 0.01;   // K
+
+// d ln P/dT (1/K) of the saturation curve at T (°C)
+export function saturationLogSlope(c, T) {
+  const [a, b] = T < c.Tm ? [T - DERIV_STEP, T] : [T, T + DERIV_STEP];
+  return (Math.log(saturationVP(c, b)) - Math.log(saturationVP(c, a))) / (b - a);
+}
+
+// Enthalpy of vaporization or sublimation (kJ/mol) at T (°C)
+export function transitionEnthalpy(c, T) {
+  return R_GAS * (T + KELVIN) ** 2 * saturationLogSlope(c, T) / 1000;
+}
+
+// Slope of the saturation curve, dP/dT (mmHg/K) at T (°C)
+export function saturationSlope(c, T) {
+  return saturationVP(c, T) * saturationLogSlope(c, T);
+}
+
+// ── Uncertainty propagation ─────────────────────────────────────────────────
+// Entries may carry coefficient uncertainties for their liquid equation as
+// `unc`: { sigma: { A: σA, ... } } (uncorrelated, any subset of the form's
+// coefficients) or { cov: [[...]] } ordered like the form's params. They are
+// propagated to ln P by linearization, σ²(ln P) = J·Σ·Jᵀ with J = ∂ln P/∂p
+// taken numerically, and to the transition temperature through the slope of
+// the curve, σ(T) = σ(ln P)/|d ln P/dT|. A sublimation equation carries no
+// uncertainty, so the solid branch of such entries gets no band.
+
+export const Z95 = 1.96;
+
+// Coefficient covariance matrix of c.eq, or null when none is given
+export function coefficientCovariance(c) {
+  if (!c.unc) return null;
+  if (c.unc.cov) return c.unc.cov;
+  const params = EQUATIONS[c.eq.form].params;
+  return params.map((p, i) => params.map((_, j) => (i === j ? (c.unc.sigma[p] ?? 0) ** 2 : 0)));
+}
+
+// Standard uncertainty of ln P_sat at T (°C), or null
+export function logVPSigma(c, T) {
+  const cov = coefficientCovariance(c);
+  if (!cov || (T < c.Tm && c.sub)) return null;
+  const params = EQUATIONS[c.eq.form].params;
+  const J = params.map(p => {
+    const h = 1e-6 * Math.max(Math.abs(c.eq[p]), 1);
+    const up = equationVP({ ...c.eq, [p]: c.eq[p] + h }, T);
+    const down = equationVP({ ...c.eq, [p]: c.eq[p] - h }, T);
+    return (Math.log(up) - Math.log(down)) / (2 * h);
+  });
+  const variance = J.reduce((sum, Ji, i) => sum + J.reduce((s2, Jj, j) => s2 + Ji * cov[i][j] * Jj, 0), 0);
+  return Number.isFinite(variance) && variance >= 0 ? Math.sqrt(variance) : null;
+}
+
+// 95 % interval [lo, hi] of P_sat (mmHg) at T (°C), or null
+export function vpInterval(c, T) {
+  const sigma = logVPSigma(c, T);
+  if (sigma === null) return null;
+  const P = saturationVP(c, T);
+  return [P * Math.exp(-Z95 * sigma), P * Math.exp(Z95 * sigma)];
+}
+
+// 95 % half-width (K) of a transition temperature T (°C), or null
+export function transitionHalfWidth(c, T) {
+  const sigma = T === null ? null : logVPSigma(c, T);
+  return sigma === null ? null : Z95 * sigma / Math.abs(saturationLogSlope(c, T));
+}
+
+// Coefficient uncertainties from loosely typed input (JSON, CSV cells, editor
+// drafts) for equation eq: a well-formed { cov } or { sigma } with positive
+// entries, else null
+export function parseUncertainty(raw, eq) {
+  if (!raw || !eq) return null;
+  const params = EQUATIONS[eq.form].params;
+  if (raw.cov) {
+    const cov = Array.isArray(raw.cov) ? raw.cov.map(row => (Array.isArray(row) ? row.map(Number) : [])) : [];
+    const ok = cov.length === params.length && cov.every(row => row.length === params.length && row.every(Number.isFinite));
+    return ok ? { cov } : null;
+  }
+  const sigma = {};
+  params.forEach(p => {
+    const v = parseFloat(raw.sigma?.[p]);
+    if (v > 0) sigma[p] = v;
+  });
+  return Object.keys(sigma).length ? { sigma } : null;
+}
+
+// ── Curve fitting ───────────────────────────────────────────────────────────
+// Least-squares fits to measured (T °C, P mmHg) pairs. Residuals are taken in
+// log10 P so every decade of pressure carries equal weight.
+
+// Solve M·x = v by Gaussian elimination with partial pivoting; null if singular
+function solveLinear(M, v) {
+  const n = v.length;
+  const a = M.map((row, i) => [...row, v[i]]);
+  for (let col = 0; col < n; col++) {
+    let piv = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[piv][col])) piv = r;
+    if (!(Math.abs(a[piv][col]) > 1e-300)) return null;
+    [a[col], a[piv]] = [a[piv], a[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = a[r][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[r][k] -= f * a[col][k];
+    }
+  }
+  return a.map((row, i) => row[n] / row[i]);
+}
+
+function invertMatrix(M) {
+  const cols = M.map((_, j) => solveLinear(M, M.map((_, i) => (i === j ? 1 : 0))));
+  return cols.includes(null) ? null : M.map((_, i) => cols.map(col => col[i]));
+}
+
+// Levenberg–Marquardt for ys ≈ model(p, x), with jac(p, x) = ∂model/∂p.
+// Returns { p, cov, ssr } or null when no finite fit is found.
+function levenbergMarquardt(model, jac, p0, xs, ys) {
+  const m = p0.length, n = xs.length;
+  const ssrOf = q => xs.reduce((s, x, i) => s + (ys[i] - model(q, x)) ** 2, 0);
+  const normal = q => {
+    const JtJ = Array.from({ length: m }, () => new Array(m).fill(0));
+    const Jtr = new Array(m).fill(0);
+    xs.forEach((x, i) => {
+      const J = jac(q, x), r = ys[i] - model(q, x);
+      for (let a = 0; a < m; a++) {
+        Jtr[a] += J[a] * r;
+        for (let b = 0; b < m; b++) JtJ[a][b] += J[a] * J[b];
+      }
+    });
+    return { JtJ, Jtr };
+  };
+
+  let p = [...p0], ssr = ssrOf(p), lambda = 1e-3;
+  if (!Number.isFinite(ssr)) return null;
+  for (let iter = 0; iter < 500; iter++) {
+    const { JtJ, Jtr } = normal(p);
+    let next = null;
+    for (; lambda < 1e15 && !next; lambda *= 10) {
+      const step = solveLinear(JtJ.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) : v))), Jtr);
+      const q = step && p.map((v, a) => v + step[a]);
+      const s = q ? ssrOf(q) : NaN;
+      if (s <= ssr) next = { q, s };
+    }
+    if (!next) break;
+    const done = ssr - next.s <= 1e-14 * (1 + ssr);
+    p = next.q; ssr = next.s; lambda = Math.max(lambda / 100, 1e-12);
+    if (done) break;
+  }
+  const inv = invertMatrix(normal(p).JtJ);
+  if (!inv) return null;
+  const s2 = n > m ? ssr / (n - m) : NaN;
+  return { p, ssr, cov: inv.map(row => row.map(v => v * s2)) };
+}
+
+function fitSummary(form, eq, se, cov, points, predictLog10) {
+  const ys = points.map(pt => Math.log10(pt.P));
+  const mean = ys.reduce((s, y) => s + y, 0) / ys.length;
+  const residuals = points.map((pt, i) => ({ T: pt.T, residual: ys[i] - predictLog10(pt.T) }));
+  const ssr = residuals.reduce((s, r) => s + r.residual ** 2, 0);
+  const sst = ys.reduce((s, y) => s + (y - mean) ** 2, 0);
+  return {
+    form, eq, se, cov, residuals, n: points.length,
+    r2: sst > 0 ? 1 - ssr / sst : NaN,
+    rms: Math.sqrt(ssr / points.length),
+    Tlo: Math.min(...points.map(pt => pt.T)),
+    Thi: Math.max(...points.map(pt => pt.T)),
+  };
+}
+
+// Clausius–Clapeyron: linear regression of ln P on 1/T. Tref is placed at the
+// mean of 1/T so that Pref and ΔHvap are uncorrelated.
+export function fitClausius(points) {
+  const n = points.length;
+  if (n < 3) return null;
+  const xs = points.map(pt => 1 / (pt.T + KELVIN));
+  const ys = points.map(pt => Math.log(pt.P));
+  const mx = xs.reduce((s, x) => s + x, 0) / n;
+  const my = ys.reduce((s, y) => s + y, 0) / n;
+  const sxx = xs.reduce((s, x) => s + (x - mx) ** 2, 0);
+  if (!(sxx > 0)) return null;
+  const slope = xs.reduce((s, x, i) => s + (x - mx) * (ys[i] - my), 0) / sxx;
+  const s2 = ys.reduce((s, y, i) => s + (y - my - slope * (xs[i] - mx)) ** 2, 0) / (n - 2);
+  const eq = { form: "clausius", Hvap: -slope * R_GAS / 1000, Tref: 1 / mx - KELVIN, Pref: Math.exp(my) };
+  const se = { Hvap: Math.sqrt(s2 / sxx) * R_GAS / 1000, Tref: 0, Pref: eq.Pref * Math.sqrt(s2 / n) };
+  // Tref is fixed by construction; Hvap and Pref are uncorrelated
+  const cov = [[se.Hvap ** 2, 0, 0], [0, 0, 0], [0, 0, se.Pref ** 2]];
+  return fitSummary("clausius", eq, se, cov, points, T => Math.log10(equationVP(eq, T)));
+}
+
+// Antoine: nonlinear in C, started from the Clausius–Clapeyron line (C = 273.15)
+export function fitAntoine(points) {
+  if (points.length < 4) return null;
+  const start = fitClausius(points);
+  if (!start) return null;
+  const b0 = start.eq.Hvap * 1000 / R_GAS / Math.LN10;
+  const A0 = Math.log10(start.eq.Pref) + b0 / (start.eq.Tref + KELVIN);
+  const result = levenbergMarquardt(
+    ([A, B, C], T) => A - B / (C + T),
+    ([, B, C], T) => [1, -1 / (C + T), B / (C + T) ** 2],
+    [A0, b0, KELVIN],
+    points.map(pt => pt.T),
+    points.map(pt => Math.log10(pt.P)),
+  );
+  if (!result) return null;
+  const [A, B, C] = result.p;
+  if (!(B > 0) || points.some(pt => C + pt.T <= 0)) return null;
+  const se = Object.fromEntries(["A", "B", "C"].map((k, i) => [k, Math.sqrt(result.cov[i][i])]));
+  return fitSummary("antoine", antoine(A, B, C), se, result.cov, points, T => A - B / (C + T));
+}
+
+// method: "auto" tries Antoine and falls back to Clausius–Clapeyron
+export function fitVaporPressure(points, method = "auto") {
+  if (method !== "clausius") {
+    const fit = fitAntoine(points);
+    if (fit) return fit;
+    if (method === "antoine") {
+      return { error: points.length < 4 ? "Antoine fit needs at least 4 points" : "Antoine fit did not converge" };
+    }
+  }
+  const fit = fitClausius(points);
+  if (!fit) return { error: "Need at least 3 points at distinct temperatures" };
+  if (method === "auto") fit.fallback = points.length < 4 ? "too few points for Antoine" : "Antoine fit did not converge";
+  return fit;
+}
+
+// Parse pasted T–P pairs, one per line (tab, comma, semicolon or space
+// separated), into °C and mmHg. Lines that don't start with two numbers —
+// headers, notes — are skipped. With tab or semicolon separators a decimal
+// comma is accepted.
+export function parseTPData(text, unit, tUnit = "°C") {
+  return text.split(/\r?\n/).flatMap(line => {
+    const cells = /[\t;]/.test(line)
+      ? line.split(/[\t;]/).map(c => c.trim().replace(",", "."))
+      : line.trim().split(/[\s,]+/);
+    const T = parseFloat(cells[0]), P = parseFloat(cells[1]);
+    return Number.isFinite(T) && P > 0 ? [{ T: fromTemperatureUnit(T, tUnit), P: fromPressureUnit(P, unit) }] : [];
+  });
+}
+
+// ── Ideal mixtures (Raoult's law) ───────────────────────────────────────────
+// Components form an ideal liquid solution, so each contributes through its
+// liquid (subcooled below Tm) vapor pressure: p_i = x_i · P_i(T).
+
+// Resolve { name, amount } rows (amount as typed, any scale) against the
+// library into mole and mass fractions. basis is "mole" or "mass"; rows
+// without a positive amount drop out.
+export function mixtureComposition(rows, library, basis) {
+  const comps = rows
+    .map(r => ({ name: r.name, c: library[r.name], amount: parseFloat(r.amount) }))
+    .filter(m => m.c && m.amount > 0)
+    .map(m => ({ ...m, moles: basis === "mass" ? m.amount / m.c.MW : m.amount }));
+  const nTot = comps.reduce((s, m) => s + m.moles, 0);
+  const mTot = comps.reduce((s, m) => s + m.moles * m.c.MW, 0);
+  return comps.map(m => ({ name: m.name, c: m.c, x: m.moles / nTot, w: m.moles * m.c.MW / mTot }));
+}
+
+export function bubblePressure(comps, T) {
+  return comps.reduce((s, m) => s + m.x * equationVP(m.c.eq, T), 0);
+}
+
+// Dew pressure of a vapor whose composition equals the overall mixture
+export function dewPressure(comps, T) {
+  return 1 / comps.reduce((s, m) => s + m.x / equationVP(m.c.eq, T), 0);
+}
+
+function mixtureTRange(comps) {
+  return [
+    Math.max(...comps.map(m => equationMinT(m.c.eq))),
+    Math.min(...comps.map(m => EQUATIONS[m.c.eq.form].maxT?.(m.c.eq) ?? SOLVE_MAX_T)),
+  ];
+}
+
+// Bubble and dew temperatures (°C) at P_mmhg, null where not reached
+export function bubbleTemperature(comps, P_mmhg) {
+  return solveForT(T => Math.log(bubblePressure(comps, T)), Math.log(P_mmhg), ...mixtureTRange(comps));
+}
+
+export function dewTemperature(comps, P_mmhg) {
+  return solveForT(T => Math.log(dewPressure(comps, T)), Math.log(P_mmhg), ...mixtureTRange(comps));
+}
+
+// Equilibrium vapor over the liquid at its bubble point at T:
+// y_i = x_i · P_i(T) / Σ x_j · P_j(T)
+export function vaporComposition(comps, T) {
+  const Pb = bubblePressure(comps, T);
+  return comps.map(m => {
+    const Psat = equationVP(m.c.eq, T);
+    return { ...m, Psat, partial: m.x * Psat, y: m.x * Psat / Pb };
+  });
+}
+
+// ── Gas–particle partitioning ───────────────────────────────────────────────
+// Absorptive partitioning into organic aerosol (Pankow; Donahue's volatility
+// basis set). The saturation mass concentration C* = MW·P°/(R·T) uses the
+// subcooled-liquid vapor pressure with unit activity coefficient, and the
+// particle-phase fraction at an organic aerosol loading C_OA is
+// Fp = 1 / (1 + C*/C_OA).
+
+export const UG_PER_G = 1e6;
+
+// Volatility classes by log10 C* (µg/m³), Donahue et al. (2012)
+export const VOLATILITY_CLASSES = [
+  { max: -4.5, label: "ELVOC" },
+  { max: -0.5, label: "LVOC" },
+  { max: 2.5, label: "SVOC" },
+  { max: 6.5, label: "IVOC" },
+  { max: Infinity, label: "VOC" },
+];
+
+// Saturation mass concentration C* (µg/m³) at T (°C)
+export function saturationConcentration(c, T) {
+  const P_pa = equationVP(c.eq, T) * PA_PER_MMHG;
+  return c.MW * P_pa / (R_GAS * (T + KELVIN)) * UG_PER_G;
+}
+
+export const particleFraction = (cStar, coa) => 1 / (1 + cStar / coa);
+
+// Class label for C* (µg/m³), or null where C* is not a finite positive number
+// (a Wagner curve above Tc, an Antoine curve below its pole)
+export function volatilityClass(cStar) {
+  if (!(cStar > 0 && Number.isFinite(cStar))) return null;
+  return VOLATILITY_CLASSES.find(v => Math.log10(cStar) < v.max).label;
+}
+
+// Bin compounds into VBS decades (log10 C* rounded) at T (°C) and loading
+// coa (µg/m³). Every decade between the extremes gets a bin, so empty ones
+// show as gaps; each compound counts as one unit of mass split into its
+// particle and gas fractions.
+export function volatilityBasisSet(entries, T, coa) {
+  const compounds = entries
+    .map(([name, c]) => ({ name, c, cStar: saturationConcentration(c, T) }))
+    .filter(m => m.cStar > 0 && Number.isFinite(m.cStar))
+    .map(m => ({
+      ...m, bin: Math.round(Math.log10(m.cStar)), fp: particleFraction(m.cStar, coa),
+      vclass: volatilityClass(m.cStar), extrapolated: isExtrapolated(m.c, T),
+    }));
+  if (!compounds.length) return { compounds, bins: [] };
+  const lo = Math.min(...compounds.map(m => m.bin));
+  const hi = Math.max(...compounds.map(m => m.bin));
+  const bins = [];
+  for (let bin = lo; bin <= hi; bin++) {
+    const members = compounds.filter(m => m.bin === bin);
+    bins.push({
+      bin, names: members.map(m => m.name),
+      particle: members.reduce((sum, m) => sum + m.fp, 0),
+      gas: members.reduce((sum, m) => sum + 1 - m.fp, 0),
+    });
+  }
+  return { compounds, bins };
+}
+
+// ── Evaporation kinetics ────────────────────────────────────────────────────
+// Hertz–Knudsen–Langmuir free evaporation (or sublimation below Tm) from a
+// surface of area A:  J = α·P_sat·√(M / (2πRT))  in kg/(m²·s). This is the
+// vacuum upper bound; in a purged oven diffusion slows it, which α can absorb.
+// The exposed area is held constant, so loss is zero-order until the sample is
+// gone.
+
+// Mass flux (kg/(m²·s)) at T (°C)
+export function evaporationFlux(c, T, alpha = 1) {
+  const M = c.MW / 1000;
+  return alpha * saturationVP(c, T) * PA_PER_MMHG * Math.sqrt(M / (2 * Math.PI * R_GAS * (T + KELVIN)));
+}
+
+// Temperature programs: { kind: "isothermal", T, duration } or
+// { kind: "ramp", T0, T1, rate } — T in °C, duration in min, rate in K/min
+export const programDuration = (p) => (p.kind === "ramp" ? (p.T1 - p.T0) / p.rate : p.duration);
+export const programTemperature = (p, t) => (p.kind === "ramp" ? p.T0 + p.rate * t : p.T);
+
+// Integrate the mass of each compound through a temperature program on a
+// shared time grid (min), with `substeps` midpoint steps per grid interval.
+// `area` in m², `mass` in kg. Returns chart points { t, T, [name]: mass % }
+// and per-compound { initialRate (kg/s), t50, tEnd } with times in min, null
+// when not reached within the program.
+export function simulateTGA(compounds, program, { area, mass, alpha }, steps = 400, substeps = 10) {
+  const duration = programDuration(program);
+  const dt = duration / (steps * substeps);
+  const state = compounds.map(([name, c]) => ({
+    name, c, m: mass, t50: null, tEnd: null,
+    initialRate: evaporationFlux(c, programTemperature(program, 0), alpha) * area,
+  }));
+  const points = [];
+  for (let i = 0; i <= steps * substeps; i++) {
+    const t = i * dt;
+    if (i % substeps === 0) {
+      const pt = { t, T: programTemperature(program, t) };
+      state.forEach(s => { pt[s.name] = (s.m / mass) * 100; });
+      points.push(pt);
+    }
+    if (i === steps * substeps) break;
+    const Tmid = programTemperature(program, t + dt / 2);
+    state.forEach(s => {
+      if (s.m <= 0) return;
+      const loss = evaporationFlux(s.c, Tmid, alpha) * area * dt * 60;
+      const next = Math.max(0, s.m - loss);
+      if (s.t50 === null && next <= mass / 2) s.t50 = t + dt * (s.m - mass / 2) / loss;
+      if (next === 0) s.tEnd = t + dt * s.m / loss;
+      s.m = next;
+    });
+  }
+  return { points, results: state.map(({ name, c, initialRate, t50, tEnd }) => ({ name, c, initialRate, t50, tEnd })) };
+}
+
+// ── Separation planning ─────────────────────────────────────────────────────
+// For an ideal mixture of pure components the relative volatility
+// α_tj = P_t(T)/P_j(T) depends on temperature only. A condition (T, P) is
+// workable when the target's saturation pressure reaches the operating
+// pressure P — so it actually boils or sublimes there — and a minimum
+// volatility threshold. Separation is scored against the closest impurity as
+// min_j |log10 α_tj|, whichever way round the pair goes.
+
+// Relative volatility of the target against each impurity at T (°C)
+export function relativeVolatilities(target, impurities, T) {
+  const Pt = saturationVP(target, T);
+  return impurities.map(([name, c]) => ({ name, alpha: Pt / saturationVP(c, T) }));
+}
+
+// Score grid over T (°C, linear) × P (mmHg, log-spaced). Rows run from low to
+// high pressure. The score depends on T only, so `best` is the workable cell
+// with the highest score at the highest pressure the target still reaches
+// there (its boiling point on the grid), lowest T first on further ties, or
+// null when no cell is workable.
+export function separationMap(target, impurities, { tMin, tMax, pMin, pMax, threshold }, nT = 40, nP = 24) {
+  const Ts = Array.from({ length: nT }, (_, i) => tMin + (tMax - tMin) * i / (nT - 1));
+  const Ps = Array.from({ length: nP }, (_, i) => pMin * Math.pow(pMax / pMin, i / (nP - 1)));
+  const columns = Ts.map(T => {
+    const Pt = saturationVP(target, T);
+    const alphas = relativeVolatilities(target, impurities, T);
+    const closest = alphas.reduce((a, b) => (Math.abs(Math.log10(b.alpha)) < Math.abs(Math.log10(a.alpha)) ? b : a));
+    return { T, Pt, alphas, closest, score: Math.abs(Math.log10(closest.alpha)) };
+  });
+  let best = null;
+  const rows = Ps.map(P => columns.map(col => {
+    const cell = { ...col, P, workable: col.Pt >= P && col.Pt >= threshold };
+    if (cell.workable && Number.isFinite(cell.score)
+      && (!best || cell.score > best.score || (cell.score === best.score && P > best.P))) best = cell;
+    return cell;
+  }));
+  return { Ts, Ps, rows, best };
+}
+
+// ── Literature sets ─────────────────────────────────────────────────────────
+// An entry's own eq (with its range, source and uncertainties) is the primary
+// set the rest of the app uses; `sets` holds alternatives for comparison.
+
+// The entry as it would be with one of its sets as the liquid equation
+export function withSet(c, set) {
+  const { Tlo, Thi, rangeAssumed, unc, source, sets, ...rest } = c;
+  return {
+    ...rest, eq: set.eq,
+    ...("Tlo" in set ? { Tlo: set.Tlo, Thi: set.Thi } : {}),
+    ...(set.unc ? { unc: set.unc } : {}),
+    ...(set.source ? { source: set.source } : {}),
+  };
+}
+
+// Every set of an entry, primary first: [{ label, source, c }]
+export function parameterSets(c) {
+  return [
+    { label: "Primary", source: c.source, c },
+    ...(c.sets ?? []).map(set => ({ label: set.label, source: set.source, c: withSet(c, set) })),
+  ];
+}
+
+// Spread of the sets' saturation pressures at T (°C): min and max (mmHg),
+// their ratio, and the standard deviation of log10 P in decades; null for a
+// single set
+export function setSpread(c, T) {
+  if (!c.sets?.length) return null;
+  const logs = parameterSets(c).map(s => Math.log10(saturationVP(s.c, T))).filter(Number.isFinite);
+  if (logs.length < 2) return null;
+  const mean = logs.reduce((a, b) => a + b, 0) / logs.length;
+  const sd = Math.sqrt(logs.reduce((a, v) => a + (v - mean) ** 2, 0) / (logs.length - 1));
+  const min = Math.pow(10, Math.min(...logs)), max = Math.pow(10, Math.max(...logs));
+  return { n: logs.length, min, max, factor: max / min, sdLog10: sd };
+}
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../cli/pah-vp.js", import.meta.url));
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+
+test("vp writes a CSV table of vapor pressures", () => {
+  const { status, stdout } = run("vp", "-c", "naphthalene", "--from", "100", "--to", "110", "--step", "10");
+  assert.equal(status, 0);
+  const [header, ...rows] = stdout.trim().split("\n");
+  assert.equal(header, "T (°C),Naphthalene (Torr)");
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].split(",")[0], "100");
+  assert.ok(Math.abs(Number(rows[0].split(",")[1]) - 19.19) < 0.01);
+});
+
+test("bp writes JSON in the chosen units, resolving compounds by CAS", () => {
+  const { status, stdout } = run("bp", "-c", "91-20-3", "--from", "101325", "--to", "101325", "--step", "1", "-u", "Pa", "-t", "K", "-f", "json");
+  assert.equal(status, 0);
+  const out = JSON.parse(stdout);
+  assert.equal(out.pressureUnit, "Pa");
+  assert.equal(out.temperatureUnit, "K");
+  assert.equal(out.rows.length, 1);
+  assert.ok(Math.abs(out.rows[0]["Naphthalene (K)"] - 491.15) < 1.5);
+});
+
+test("unknown compounds fail with a usage hint", () => {
+  const { status, stderr } = run("vp", "-c", "Unobtainium");
+  assert.equal(status, 1);
+  assert.match(stderr, /Unknown compound "Unobtainium"/);
+  assert.match(stderr, /--help/);
+});
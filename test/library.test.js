@@ -0,0 +1,145 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { antoine, rangeBasis } from "../src/physics.js";
+import {
+  BUILTIN_LIBRARY, COLORS, parseCoefficients, parseEquation, parseSet, parseEntry, isValidCAS, validateCompound,
+  sanitizeCompounds, unusedColor, uniqueName, parseCSV, libraryToCSV, libraryToJSON, parseLibraryFile,
+  tableToCSV, tableToJSON, exportNumber,
+} from "../src/library.js";
+
+// A user compound exercising every optional part of an entry
+const CARBAZOLE = {
+  Tm: 246, Tb: 355, MW: 167.21, Tlo: 250, Thi: 360, Hfus: 27,
+  eq: antoine(7.2, 2600, 180),
+  sub: antoine(10.1, 4100, 230),
+  unc: { sigma: { A: 0.01, B: 5, C: 0.5 } },
+  sets: [{ label: "Second study", eq: antoine(7.25, 2620, 181), Tlo: 260, Thi: 350, source: "Another lab" }],
+  source: "Test data, with a comma",
+  cas: "86-74-8", formula: "C12H9N", rings: 3, synonyms: ["Dibenzopyrrole", "9-Azafluorene"],
+  color: "#123456",
+};
+
+test("CAS check digits", () => {
+  assert.equal(isValidCAS("91-20-3"), true);
+  assert.equal(isValidCAS("50-32-8"), true);
+  assert.equal(isValidCAS("91-20-4"), false, "wrong check digit");
+  assert.equal(isValidCAS("9120-3"), false, "malformed");
+  assert.equal(isValidCAS(""), false);
+  Object.entries(BUILTIN_LIBRARY).forEach(([name, c]) => {
+    if (c.cas) assert.ok(isValidCAS(c.cas), `${name} ${c.cas}`);
+  });
+});
+
+test("every built-in compound validates", () => {
+  Object.entries(BUILTIN_LIBRARY).forEach(([name, c]) => assert.equal(validateCompound(name, c), null, name));
+});
+
+test("validation reports the first problem", () => {
+  assert.equal(validateCompound("", CARBAZOLE), "Name is required");
+  assert.equal(validateCompound("X", { ...CARBAZOLE, MW: -1 }), "MW must be positive");
+  assert.equal(validateCompound("X", { ...CARBAZOLE, Tlo: 400 }), "Fitted range needs Tlo < Thi");
+  assert.match(validateCompound("X", { ...CARBAZOLE, cas: "86-74-9" }), /check digit/);
+  assert.match(validateCompound("X", { ...CARBAZOLE, rings: 2.5 }), /whole number/);
+  assert.match(validateCompound("X", { ...CARBAZOLE, sets: [{ label: "Primary", eq: CARBAZOLE.eq }] }), /other than "Primary"/);
+  assert.equal(validateCompound("X", CARBAZOLE), null);
+});
+
+test("coefficient strings parse to numeric equations", () => {
+  const raw = parseCoefficients("antoine", " A=7.01; B =1733.7;C= 202.7 ;");
+  assert.deepEqual(raw, { form: "antoine", A: "7.01", B: "1733.7", C: " 202.7 " });
+  assert.deepEqual(parseEquation(raw), { form: "antoine", A: 7.01, B: 1733.7, C: 202.7 });
+  assert.equal(parseEquation({ form: "nope", A: 1 }), null);
+  assert.ok(Number.isNaN(parseEquation({ form: "antoine", A: "7", B: "1700" }).C), "missing coefficient");
+  assert.deepEqual(parseEquation({ form: "clausius", Hvap: "55", Tref: "200", Pref: "10", extra: "x" }),
+    { form: "clausius", Hvap: 55, Tref: 200, Pref: 10 });
+});
+
+test("literature sets parse from loose input", () => {
+  assert.deepEqual(parseSet({ label: " Smith 1990 ", eq: { form: "antoine", A: "7", B: "1700", C: "200" }, Tlo: "80", Thi: "", source: " " }),
+    { label: "Smith 1990", eq: antoine(7, 1700, 200), Tlo: 80 });
+  assert.deepEqual(parseSet({ label: "B", eq: antoine(7, 1700, 200), source: "Lab", unc: { sigma: { A: "0.02", B: "-1" } } }),
+    { label: "B", eq: antoine(7, 1700, 200), source: "Lab", unc: { sigma: { A: 0.02 } } });
+  assert.equal(parseSet({}).eq, null);
+});
+
+test("legacy entries with flat Antoine constants are read as Antoine equations", () => {
+  const entry = parseEntry({ Tm: "80", Tb: "218", MW: "128.17", A: "7.0", B: "1600", C: "200", sA: "9", sB: "2500", sC: "230" });
+  assert.deepEqual(entry.eq, { form: "antoine", A: 7, B: 1600, C: 200 });
+  assert.deepEqual(entry.sub, { form: "antoine", A: 9, B: 2500, C: 230 });
+  assert.equal("Tlo" in entry, false);
+});
+
+test("metadata is read from loose input", () => {
+  const entry = parseEntry({ ...CARBAZOLE, rings: "3", epa16: "Yes", synonyms: " Dibenzopyrrole ;; 9-Azafluorene " });
+  assert.equal(entry.rings, 3);
+  assert.equal(entry.epa16, true);
+  assert.deepEqual(entry.synonyms, ["Dibenzopyrrole", "9-Azafluorene"]);
+  assert.equal(parseEntry({ ...CARBAZOLE, epa16: "" }).epa16, undefined);
+});
+
+test("the CSV parser handles quotes, escaped quotes and CRLF", () => {
+  assert.deepEqual(parseCSV('a,"b, c","say ""hi"""\r\n1,"two\nlines",3\r\n\r\n'), [
+    ["a", "b, c", 'say "hi"'],
+    ["1", "two\nlines", "3"],
+  ]);
+  assert.deepEqual(parseCSV("x,y"), [["x", "y"]]);
+});
+
+test("a library survives a CSV round trip", () => {
+  const { compounds, skipped } = parseLibraryFile("library.csv", libraryToCSV({ Carbazole: CARBAZOLE }));
+  assert.equal(skipped, 0);
+  assert.deepEqual(compounds.Carbazole, CARBAZOLE);
+});
+
+test("a library survives a JSON round trip", () => {
+  const { compounds, skipped } = parseLibraryFile("library.json", libraryToJSON({ Carbazole: { ...CARBAZOLE, epa16: true } }));
+  assert.equal(skipped, 0);
+  assert.deepEqual(compounds.Carbazole, { ...CARBAZOLE, epa16: true });
+});
+
+test("a duplicated built-in keeps its assumed range through both formats", () => {
+  const { builtin, ...copy } = BUILTIN_LIBRARY.Naphthalene;
+  const entry = { ...parseEntry(copy), color: copy.color };
+  assert.equal(rangeBasis(entry), "assumed");
+  assert.deepEqual(entry, copy);
+  for (const [file, text] of [["library.csv", libraryToCSV({ "Naphthalene (copy)": entry })],
+    ["library.json", libraryToJSON({ "Naphthalene (copy)": entry })]]) {
+    const { compounds } = parseLibraryFile(file, text);
+    assert.deepEqual(compounds["Naphthalene (copy)"], entry, file);
+  }
+});
+
+test("an empty or headerless CSV fails with a readable error", () => {
+  assert.throws(() => parseLibraryFile("library.csv", ""), /Empty CSV/);
+  assert.throws(() => parseLibraryFile("library.csv", " \r\n"), /Empty CSV/);
+  assert.throws(() => parseLibraryFile("library.csv", "Carbazole,antoine,A=7.2; B=2600; C=180\n"), /Missing CSV header/);
+});
+
+test("imports skip built-in names and invalid rows", () => {
+  const { compounds, skipped } = sanitizeCompounds([
+    { ...CARBAZOLE, name: "Naphthalene" },
+    { ...CARBAZOLE, name: "Broken", MW: "n/a" },
+    { ...CARBAZOLE, name: " Carbazole ", color: "red" },
+  ]);
+  assert.equal(skipped, 2);
+  assert.deepEqual(Object.keys(compounds), ["Carbazole"]);
+  assert.equal(compounds.Carbazole.color, COLORS[2], "invalid colours are replaced");
+});
+
+test("new compounds get an unused colour and a unique name", () => {
+  assert.equal(unusedColor({}), COLORS[0]);
+  assert.equal(unusedColor({ a: { color: COLORS[0] } }), COLORS[1]);
+  assert.equal(uniqueName("Pyrene", {}), "Pyrene");
+  assert.equal(uniqueName("Pyrene", { Pyrene: 1, "Pyrene 2": 1 }), "Pyrene 3");
+});
+
+test("tables export with the same headers in CSV and JSON", () => {
+  const table = { headers: ["T (°C)", "Naphthalene (Torr)"], rows: [[100, 19.1939], [110, null]] };
+  assert.equal(tableToCSV(table), "T (°C),Naphthalene (Torr)\n100,19.1939\n110,\n");
+  assert.deepEqual(JSON.parse(tableToJSON(table, { pressureUnit: "Torr" })), {
+    pressureUnit: "Torr",
+    rows: [{ "T (°C)": 100, "Naphthalene (Torr)": 19.1939 }, { "T (°C)": 110, "Naphthalene (Torr)": null }],
+  });
+  assert.equal(exportNumber(1 / 3), 0.333333);
+  assert.equal(exportNumber(NaN), null);
+});
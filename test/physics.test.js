@@ -0,0 +1,294 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  antoine, PAH_DATA, toPressureUnit, fromPressureUnit, toTemperatureUnit, fromTemperatureUnit, KELVIN, R_GAS,
+  PA_PER_MMHG, antoineVP, boilingPoint, equationVP, equationInverse, saturationVP, triplePoint, transitionPoint,
+  phaseAt, isExtrapolated, rangeBasis, transitionEnthalpy, saturationSlope, logVPSigma, vpInterval, transitionHalfWidth,
+  fusionEnthalpy, saturationLogSlope, coefficientCovariance, fitClausius, fitAntoine, withSet,
+  fitVaporPressure, parseTPData, mixtureComposition, bubblePressure, dewPressure, bubbleTemperature,
+  dewTemperature, vaporComposition, saturationConcentration, particleFraction, volatilityClass,
+  volatilityBasisSet, evaporationFlux, simulateTGA, relativeVolatilities, separationMap, parameterSets, setSpread,
+} from "../src/physics.js";
+
+const close = (actual, expected, tolerance, what = "") =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${what} ${actual} is not within ${tolerance} of ${expected}`);
+
+// Water, Antoine constants for 1–100 °C (mmHg, °C)
+const WATER = { eq: antoine(8.07131, 1730.63, 233.426), Tm: 0, Tb: 100, MW: 18.015 };
+const naphthalene = PAH_DATA.Naphthalene;
+
+test("pressure and temperature units convert both ways", () => {
+  close(toPressureUnit(760, "atm"), 1, 1e-12);
+  close(toPressureUnit(760, "Pa"), 101325, 0.5);
+  close(toPressureUnit(760, "kPa"), 101.325, 5e-4);
+  close(toPressureUnit(760, "psi"), 14.696, 1e-3);
+  close(fromPressureUnit(toPressureUnit(3.7, "bar"), "bar"), 3.7, 1e-12);
+  close(toTemperatureUnit(0, "K"), 273.15, 1e-12);
+  close(toTemperatureUnit(100, "°F"), 212, 1e-12);
+  close(fromTemperatureUnit(-40, "°F"), -40, 1e-12);
+  close(fromTemperatureUnit(toTemperatureUnit(123.4, "K"), "K"), 123.4, 1e-12);
+});
+
+test("Antoine pressure and boiling point invert each other", () => {
+  close(antoineVP(8.07131, 1730.63, 233.426, 100), 760, 0.5, "water at 100 °C");
+  close(boilingPoint(8.07131, 1730.63, 233.426, 760), 100, 0.02, "water boiling point");
+  assert.equal(boilingPoint(7, 1500, 200, 1e8), null);
+});
+
+test("naphthalene's normal boiling point matches its tabulated Tb", () => {
+  const { T, sublimation } = transitionPoint(naphthalene, 760);
+  close(T, 218, 1.5, "Tb");
+  assert.equal(sublimation, false);
+});
+
+test("every equation form inverts its own pressure", () => {
+  const forms = [
+    WATER.eq,
+    { form: "antoineExt", A: 73.649, B: -7258.2, C: 0, D: 0, E: -7.3037, F: 4.1653e-6, G: 2 },
+    { form: "wagner", Tc: 647.1, Pc: 22.064e6, a: -7.8, b: 1.5, c: -2.7, d: -1.4 },
+    { form: "dippr101", A: 73.649, B: -7258.2, C: -7.3037, D: 4.1653e-6, E: 2 },
+    { form: "clausius", Hvap: 40.7, Tref: 100, Pref: 760 },
+  ];
+  forms.forEach(eq => [20, 80, 150].forEach(T => {
+    close(equationInverse(eq, equationVP(eq, T)), T, 1e-4, `${eq.form} at ${T} °C`);
+  }));
+});
+
+test("DIPPR 101 and Wagner reproduce their reference points", () => {
+  // Water in DIPPR 101 form (Perry's Handbook): the normal boiling point
+  const dippr = { form: "dippr101", A: 73.649, B: -7258.2, C: -7.3037, D: 4.1653e-6, E: 2 };
+  close(equationVP(dippr, 100), 760, 1, "DIPPR water at 100 °C");
+  // The Wagner form passes through the critical point by construction
+  const wagner = { form: "wagner", Tc: 647.1, Pc: 22.064e6, a: -7.8, b: 1.5, c: -2.7, d: -1.4 };
+  close(equationVP(wagner, 647.1 - KELVIN), 22.064e6 / PA_PER_MMHG, 1e-6, "Wagner at Tc");
+  assert.ok(Number.isNaN(equationVP(wagner, 400)), "supercritical");
+});
+
+test("Clausius–Clapeyron form returns its own enthalpy", () => {
+  const c = { eq: { form: "clausius", Hvap: 55, Tref: 200, Pref: 10 }, Tm: 50, MW: 200 };
+  [100, 200, 300].forEach(T => close(transitionEnthalpy(c, T), 55, 0.01, `ΔH at ${T} °C`));
+});
+
+test("the fusion enthalpy falls back to Walden's rule", () => {
+  assert.equal(fusionEnthalpy({ Tm: 80, Hfus: 19.1 }), 19100);
+  close(fusionEnthalpy({ Tm: 100 }), 56.5 * (100 + KELVIN), 1e-9);
+});
+
+test("the log slope of a Clausius–Clapeyron curve is ΔH/RT²", () => {
+  const c = { eq: { form: "clausius", Hvap: 55, Tref: 200, Pref: 10 }, Tm: 50, MW: 200 };
+  // One-sided 0.01 K difference, so agreement to about 1 part in 10⁴
+  [100, 250].forEach(T => {
+    const exact = 55000 / (R_GAS * (T + KELVIN) ** 2);
+    close(saturationLogSlope(c, T), exact, 1e-4 * exact, `at ${T} °C`);
+  });
+});
+
+test("Antoine enthalpy and slope follow the analytic derivative", () => {
+  const { B, C } = naphthalene.eq;
+  const T = 150;
+  const dlnPdT = Math.LN10 * B / (C + T) ** 2;
+  close(transitionEnthalpy(naphthalene, T), R_GAS * (T + KELVIN) ** 2 * dlnPdT / 1000, 0.01, "ΔHvap");
+  close(saturationSlope(naphthalene, T), saturationVP(naphthalene, T) * dlnPdT, 1e-3, "dP/dT");
+});
+
+test("the solid branch meets the liquid at the triple point and lies below it", () => {
+  const { Tm } = naphthalene;
+  const tp = triplePoint(naphthalene);
+  close(saturationVP(naphthalene, Tm), tp.P, 1e-12);
+  assert.ok(saturationVP(naphthalene, Tm - 30) < equationVP(naphthalene.eq, Tm - 30));
+  // ln(Ps/Pl) = −ΔHfus/R · (1/T − 1/Tm)
+  const T = 20;
+  const ratio = Math.exp(-naphthalene.Hfus * 1000 / R_GAS * (1 / (T + KELVIN) - 1 / (Tm + KELVIN)));
+  close(saturationVP(naphthalene, T) / equationVP(naphthalene.eq, T), ratio, 1e-9);
+  const sub = transitionPoint(naphthalene, tp.P / 10);
+  assert.equal(sub.sublimation, true);
+  close(saturationVP(naphthalene, sub.T), tp.P / 10, 1e-6 * tp.P);
+});
+
+test("phase and extrapolation flags", () => {
+  assert.equal(phaseAt(naphthalene, 250, 760), "vapor");
+  assert.equal(phaseAt(naphthalene, 150, 760), "liquid");
+  assert.equal(phaseAt(naphthalene, 25, 760), "solid");
+  assert.equal(isExtrapolated(naphthalene, 150), false);
+  assert.equal(isExtrapolated(naphthalene, 300), true);
+  assert.equal(isExtrapolated({ ...WATER }, 500), false, "no range, never flagged");
+  assert.equal(rangeBasis(naphthalene), "assumed", "uncited built-in range");
+  assert.equal(rangeBasis({ ...WATER, Tlo: 1, Thi: 100 }), "fitted");
+  assert.equal(rangeBasis(WATER), null);
+});
+
+test("an uncertainty in A alone gives a band of ±1.96·σA decades", () => {
+  const sigmaA = 0.02;
+  const c = { ...WATER, unc: { sigma: { A: sigmaA } } };
+  close(logVPSigma(c, 60), Math.LN10 * sigmaA, 1e-6);
+  const [lo, hi] = vpInterval(c, 60);
+  const P = saturationVP(c, 60);
+  close(Math.log10(hi / P), 1.96 * sigmaA, 1e-6);
+  close(Math.log10(P / lo), 1.96 * sigmaA, 1e-6);
+  const T = transitionPoint(c, 100).T;
+  close(transitionHalfWidth(c, T), 1.96 * Math.LN10 * sigmaA / (Math.LN10 * 1730.63 / (233.426 + T) ** 2), 1e-4);
+  assert.equal(vpInterval(WATER, 60), null);
+});
+
+test("coefficient covariance from σ or a full matrix", () => {
+  assert.equal(coefficientCovariance(WATER), null);
+  assert.deepEqual(coefficientCovariance({ ...WATER, unc: { sigma: { A: 0.1, C: 2 } } }), [
+    [0.1 ** 2, 0, 0],
+    [0, 0, 0],
+    [0, 0, 4],
+  ]);
+  const cov = [[1, 0.5, 0], [0.5, 2, 0], [0, 0, 3]];
+  assert.equal(coefficientCovariance({ ...WATER, unc: { cov } }), cov);
+});
+
+test("the Clausius–Clapeyron fit is exact on its own curve", () => {
+  const eq = { form: "clausius", Hvap: 60, Tref: 150, Pref: 5 };
+  const points = [100, 150, 200, 250].map(T => ({ T, P: equationVP(eq, T) }));
+  const fit = fitClausius(points);
+  close(fit.eq.Hvap, 60, 1e-9, "ΔHvap");
+  // Tref sits at the mean of 1/T, so check the curve rather than Tref/Pref
+  points.forEach(pt => close(Math.log(equationVP(fit.eq, pt.T) / pt.P), 0, 1e-12, `at ${pt.T} °C`));
+  close(fit.eq.Tref, 1 / (points.reduce((s, pt) => s + 1 / (pt.T + KELVIN), 0) / 4) - KELVIN, 1e-9, "Tref");
+  close(fit.se.Hvap, 0, 1e-6);
+  assert.equal(fit.cov[0][2], 0, "ΔHvap and Pref uncorrelated");
+  assert.equal(fitClausius(points.slice(0, 2)), null);
+  assert.equal(fitClausius(points.map(pt => ({ ...pt, T: 100 }))), null, "single temperature");
+});
+
+test("the Levenberg–Marquardt Antoine fit minimizes the squared log residuals", () => {
+  // Alternating ±0.01 decade noise on water's curve
+  const points = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100].map((T, i) => ({ T, P: equationVP(WATER.eq, T) * 10 ** (i % 2 ? 0.01 : -0.01) }));
+  const fit = fitAntoine(points);
+  const ssr = (eq) => points.reduce((s, pt) => s + Math.log10(equationVP(eq, pt.T) / pt.P) ** 2, 0);
+  assert.ok(ssr(fit.eq) <= ssr(WATER.eq), "no worse than the true constants");
+  ["A", "B", "C"].forEach(p => [-1, 1].forEach(sign => {
+    const nudged = { ...fit.eq, [p]: fit.eq[p] + sign * 1e-3 * fit.se[p] };
+    assert.ok(ssr(fit.eq) <= ssr(nudged) + 1e-15, `minimum along ${p}`);
+  }));
+  ["A", "B", "C"].forEach((p, i) => {
+    assert.ok(fit.se[p] > 0);
+    close(fit.se[p], Math.sqrt(fit.cov[i][i]), 1e-12);
+  });
+  close(fit.cov[0][1], fit.cov[1][0], 1e-12 * Math.abs(fit.cov[0][1]), "symmetric");
+  close(fit.rms, 0.01, 0.002);
+  assert.equal(fitAntoine(points.slice(0, 3)), null, "needs four points");
+});
+
+test("fits recover the constants the data came from", () => {
+  const points = [20, 40, 60, 80, 100].map(T => ({ T, P: equationVP(WATER.eq, T) }));
+  const fit = fitVaporPressure(points);
+  assert.equal(fit.form, "antoine");
+  close(fit.eq.A, 8.07131, 1e-3, "A");
+  close(fit.eq.B, 1730.63, 0.5, "B");
+  close(fit.eq.C, 233.426, 0.1, "C");
+  close(fit.r2, 1, 1e-9);
+  const clausius = fitVaporPressure(points.slice(0, 3));
+  assert.equal(clausius.form, "clausius");
+  assert.ok(clausius.fallback);
+  assert.ok(fitVaporPressure(points.slice(0, 2)).error);
+});
+
+test("pasted data is read in the chosen units", () => {
+  const text = "T (K)\tP (kPa)\n373,15\t101,325\n# note\n353.15 47.4";
+  const points = parseTPData(text, "kPa", "K");
+  assert.equal(points.length, 2);
+  close(points[0].T, 100, 1e-9);
+  close(points[0].P, 760, 0.01);
+  close(points[1].T, 80, 1e-9);
+});
+
+test("ideal mixtures follow Raoult's law", () => {
+  const library = { water: WATER, naphthalene };
+  const pure = mixtureComposition([{ name: "water", amount: "1" }], library, "mole");
+  close(bubblePressure(pure, 70), equationVP(WATER.eq, 70), 1e-9);
+  close(dewPressure(pure, 70), equationVP(WATER.eq, 70), 1e-9);
+  close(bubbleTemperature(pure, 760), 100, 0.02);
+
+  const mix = mixtureComposition([{ name: "water", amount: "1" }, { name: "naphthalene", amount: "1" }], library, "mole");
+  const [Pw, Pn] = [equationVP(WATER.eq, 150), equationVP(naphthalene.eq, 150)];
+  close(bubblePressure(mix, 150), (Pw + Pn) / 2, 1e-9);
+  close(dewPressure(mix, 150), 2 / (1 / Pw + 1 / Pn), 1e-9);
+  assert.ok(dewTemperature(mix, 760) > bubbleTemperature(mix, 760));
+  const y = vaporComposition(mix, 150);
+  close(y.reduce((s, m) => s + m.y, 0), 1, 1e-12);
+
+  const byMass = mixtureComposition([{ name: "water", amount: "18.015" }, { name: "naphthalene", amount: "128.2" }], library, "mass");
+  close(byMass[0].x, 0.5, 1e-12);
+});
+
+test("saturation concentration and partitioning", () => {
+  const T = 25;
+  const P_pa = equationVP(naphthalene.eq, T) * PA_PER_MMHG;
+  close(saturationConcentration(naphthalene, T), naphthalene.MW * P_pa / (R_GAS * (T + KELVIN)) * 1e6, 1e-6);
+  close(particleFraction(10, 10), 0.5, 1e-12);
+  assert.equal(volatilityClass(1e-5), "ELVOC");
+  assert.equal(volatilityClass(10), "SVOC");
+  assert.equal(volatilityClass(1e7), "VOC");
+  assert.equal(volatilityClass(NaN), null);
+  assert.equal(volatilityClass(Infinity), null);
+});
+
+test("compounds with no finite C* are left out of the volatility basis set", () => {
+  const wagner = { eq: { form: "wagner", Tc: 647.1, Pc: 22.064e6, a: -7.8, b: 1.5, c: -2.7, d: -1.4 }, Tm: 0, Tb: 100, MW: 18.015 };
+  const pole = { eq: antoine(7, 1500, 179.5), Tm: -190, Tb: 100, MW: 100 };
+  assert.ok(Number.isNaN(saturationConcentration(wagner, 400)), "Wagner above Tc");
+  assert.equal(saturationConcentration(pole, -179.6), Infinity, "Antoine below its pole");
+  const above = volatilityBasisSet([["Water", wagner], ["Naphthalene", naphthalene]], 400, 10);
+  assert.deepEqual(above.compounds.map(m => m.name), ["Naphthalene"]);
+  const below = volatilityBasisSet([["Pole", pole]], -179.6, 10);
+  assert.deepEqual(below, { compounds: [], bins: [] });
+});
+
+test("evaporation follows Hertz–Knudsen and empties a TGA pan", () => {
+  const T = 150;
+  const expected = saturationVP(naphthalene, T) * PA_PER_MMHG * Math.sqrt(0.1282 / (2 * Math.PI * R_GAS * (T + KELVIN)));
+  close(evaporationFlux(naphthalene, T), expected, 1e-12);
+  close(evaporationFlux(naphthalene, T, 0.5), expected / 2, 1e-12);
+
+  const { points, results } = simulateTGA([["Naphthalene", naphthalene]],
+    { kind: "isothermal", T: 100, duration: 60 }, { area: 1e-4, mass: 1e-6, alpha: 1 });
+  const masses = points.map(pt => pt.Naphthalene);
+  assert.equal(masses[0], 100);
+  assert.ok(masses.every((m, i) => i === 0 || m <= masses[i - 1]), "mass never increases");
+  const [{ t50, tEnd, initialRate }] = results;
+  close(initialRate, evaporationFlux(naphthalene, 100) * 1e-4, 1e-15);
+  // Zero-order loss at constant T: half the mass goes in half the time
+  close(t50, tEnd / 2, 1e-6);
+  close(tEnd, 1e-6 / initialRate / 60, 1e-6);
+});
+
+test("relative volatility and the separation map", () => {
+  const anthracene = PAH_DATA.Anthracene, phenanthrene = PAH_DATA.Phenanthrene;
+  const [{ alpha }] = relativeVolatilities(phenanthrene, [["Anthracene", anthracene]], 250);
+  close(alpha, saturationVP(phenanthrene, 250) / saturationVP(anthracene, 250), 1e-12);
+  const map = separationMap(phenanthrene, [["Anthracene", anthracene]], { tMin: 100, tMax: 300, pMin: 0.1, pMax: 100, threshold: 0 }, 5, 7);
+  assert.equal(map.rows.length, 7);
+  assert.equal(map.rows[0].length, 5);
+  assert.ok(map.best.workable);
+  assert.ok(map.rows.flat().filter(cell => cell.workable).every(cell => cell.score <= map.best.score));
+  // Reported at the highest pressure the target reaches at that T, not at pMin
+  assert.equal(map.best.P, Math.max(...map.Ps.filter(P => P <= map.best.Pt)));
+  assert.ok(map.best.P > map.Ps[0]);
+});
+
+test("a literature set replaces the equation, range, source and uncertainty", () => {
+  const c = { ...naphthalene, unc: { sigma: { A: 0.01 } }, sets: [] };
+  const set = { label: "B", eq: antoine(7, 1700, 200), Tlo: 100, Thi: 200, source: "B", unc: { sigma: { B: 5 } } };
+  const alt = withSet(c, set);
+  assert.equal(alt.eq, set.eq);
+  assert.deepEqual([alt.Tlo, alt.Thi, alt.source, alt.unc], [100, 200, "B", set.unc]);
+  assert.equal("sets" in alt, false);
+  assert.equal(alt.Tm, naphthalene.Tm);
+  const bare = withSet(c, { label: "C", eq: antoine(7, 1700, 200) });
+  assert.deepEqual(["Tlo" in bare, "rangeAssumed" in bare, "source" in bare, "unc" in bare], [false, false, false, false]);
+});
+
+test("literature sets and their spread", () => {
+  const c = { ...WATER, source: "A", sets: [{ label: "B", eq: antoine(8.07131 + 0.1, 1730.63, 233.426), source: "B" }] };
+  const sets = parameterSets(c);
+  assert.deepEqual(sets.map(s => s.label), ["Primary", "B"]);
+  const spread = setSpread(c, 50);
+  assert.equal(spread.n, 2);
+  close(spread.factor, 10 ** 0.1, 1e-9);
+  assert.equal(setSpread(WATER, 50), null);
+});
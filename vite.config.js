@@ -1,6 +1,39 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
+import { minimal2023Preset } from '@vite-pwa/assets-generator/config'
+
+// Padding around the maskable and apple-touch icons matches the app background
+const iconBackground = { resizeOptions: { background: '#080b14' } }
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable, offline-first app: the service worker precaches the whole
+    // build (fonts included), and a new deploy waits for the user to reload
+    // from the update prompt in App.jsx. Icons are generated from
+    // public/favicon.svg at build time.
+    VitePWA({
+      registerType: 'prompt',
+      pwaAssets: {
+        image: 'public/favicon.svg',
+        preset: {
+          ...minimal2023Preset,
+          maskable: { ...minimal2023Preset.maskable, ...iconBackground },
+          apple: { ...minimal2023Preset.apple, ...iconBackground },
+        },
+      },
+      manifest: {
+        name: 'PAH Vapor Pressure Explorer',
+        short_name: 'PAH Explorer',
+        description: 'Interactive vapor pressure vs temperature explorer for polyaromatic hydrocarbons.',
+        theme_color: '#080b14',
+        background_color: '#080b14',
+        display: 'standalone',
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,ico,woff2}'],
+      },
+    }),
+  ],
 })